@@ -1,17 +1,28 @@
 module.exports = {
   server: {
     port: process.env.PORT || 3001,
-    corsOrigin: process.env.CORS_ORIGIN || '*'
+    // Browser origins allowed to call the API. Tools on these origins can also be
+    // rendered by URL (see `url` on POST /render).
+    corsOrigins: process.env.CORS_ORIGINS ?
+      process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) :
+      ['http://localhost:3000', 'http://localhost:8080'],
+    publicUrl: process.env.PUBLIC_URL || null // makes webhook download URLs absolute
   },
   
   rendering: {
     maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS) || 3,
     maxFramesPerJob: parseInt(process.env.MAX_FRAMES_PER_JOB) || 300,
     maxResolution: parseInt(process.env.MAX_RESOLUTION) || 4,
+    maxAudioSize: 20 * 1024 * 1024, // 20MB decoded audio upload
+    maxPages: parseInt(process.env.MAX_PAGES) || 6, // browser pages open at once across all jobs
+    maxParallelism: parseInt(process.env.MAX_PARALLELISM) || 4, // pages a single job may capture on
+    streamFrames: process.env.STREAM_FRAMES !== 'false', // pipe video frames into ffmpeg instead of writing PNGs
     defaultFps: 30,
     defaultDuration: 3,
     defaultWidth: 1920,
-    defaultHeight: 1080
+    defaultHeight: 1080,
+    // POST /render/still answers directly up to this many output pixels and queues larger stills
+    maxSyncStillPixels: parseInt(process.env.MAX_SYNC_STILL_PIXELS) || 3840 * 2160
   },
   
   puppeteer: {
@@ -29,14 +40,76 @@ module.exports = {
     // Let Puppeteer find its own Chrome
   },
   
+  browserPool: {
+    maxBrowsers: parseInt(process.env.MAX_BROWSERS) || 1,
+    maxPagesPerBrowser: parseInt(process.env.MAX_PAGES_PER_BROWSER) || 6,
+    recycleAfterJobs: parseInt(process.env.BROWSER_RECYCLE_JOBS) || 20, // distinct jobs before a browser is replaced
+    maxRssMb: parseInt(process.env.BROWSER_MAX_RSS_MB) || 350, // retire a browser once its process grows past this
+    healthCheckInterval: 30000, // 30 seconds
+    healthCheckTimeout: 5000,
+    crashRetries: 2 // fresh browsers a slice may move to after a crash
+  },
+  
+  assets: {
+    dir: 'storage/assets',
+    maxFileSize: parseInt(process.env.MAX_ASSET_SIZE) || 25 * 1024 * 1024, // 25MB per file
+    maxFiles: 20 // per upload
+  },
+  
+  network: {
+    // Hosts (and their subdomains) render pages may load from; '*' allows any public host
+    allowedDomains: process.env.NETWORK_ALLOWED_DOMAINS ?
+      process.env.NETWORK_ALLOWED_DOMAINS.split(',').map(domain => domain.trim()).filter(Boolean) :
+      ['yaelren.github.io', 'fonts.googleapis.com', 'fonts.gstatic.com', 'cdn.jsdelivr.net', 'unpkg.com', 'cdnjs.cloudflare.com'],
+    blockPrivateAddresses: process.env.NETWORK_ALLOW_PRIVATE !== 'true',
+    // Shared by all pages of a job
+    maxRequests: parseInt(process.env.MAX_REQUESTS_PER_JOB) || 200,
+    maxBytes: parseInt(process.env.MAX_BYTES_PER_JOB) || 50 * 1024 * 1024, // 50MB
+    maxReportedBlocks: 50 // blocked requests listed on the job
+  },
+  
   storage: {
     tempDir: 'storage/temp',
     cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 3600000, // 1 hour
     maxFileSize: 500 * 1024 * 1024 // 500MB
   },
   
+  auth: {
+    keys: process.env.API_KEYS ? process.env.API_KEYS.split(',').map(key => key.trim()).filter(Boolean) : [],
+    keysFile: process.env.API_KEYS_FILE || null, // JSON list of { id, key, ...limits }
+    // Limits for keys that do not set their own (null = no limit)
+    defaults: {
+      maxConcurrentJobs: parseInt(process.env.KEY_MAX_CONCURRENT_JOBS) || 2,
+      framesPerDay: parseInt(process.env.KEY_FRAMES_PER_DAY) || 10000,
+      maxResolution: null,
+      allowedFormats: null,
+      maxPriority: parseInt(process.env.KEY_MAX_PRIORITY) || 0 // highest `priority` a key may ask for
+    }
+  },
+  
+  scheduler: {
+    maxCost: parseInt(process.env.SCHEDULER_MAX_COST) || 10000, // frames × resolution² × format weight running at once
+    msPerCost: 100 // initial render time estimate per cost unit, refined as jobs finish
+  },
+  
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 2000, // doubles after each failed attempt
+    timeout: 10000 // 10 seconds per attempt
+  },
+  
   jobs: {
-    timeout: 5 * 60 * 1000, // 5 minutes
-    pollInterval: 1000 // 1 second
+    timeout: parseInt(process.env.JOB_TIMEOUT) || 5 * 60 * 1000, // 5 minutes per attempt
+    maxTimeout: parseInt(process.env.MAX_JOB_TIMEOUT) || 15 * 60 * 1000, // longest `timeout` a request may ask for
+    frameTimeout: parseInt(process.env.FRAME_TIMEOUT) || 10000, // seek + screenshot of a single frame
+    maxFrameTimeout: parseInt(process.env.MAX_FRAME_TIMEOUT) || 60000,
+    loadTimeout: parseInt(process.env.PAGE_LOAD_TIMEOUT) || 60000, // loading the tool into a page
+    pollInterval: 1000, // 1 second
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3, // automatic attempts before a job fails
+    retryDelay: parseInt(process.env.JOB_RETRY_DELAY) || 5000, // doubles after each failed attempt
+    store: {
+      type: process.env.JOB_STORE || 'file', // 'file' or 'memory'
+      dir: process.env.JOB_STORE_DIR || 'storage/jobs'
+    }
   }
 };
\ No newline at end of file
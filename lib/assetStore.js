@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { createWriteStream } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+const ASSET_ID = /^[a-f0-9]{64}$/;
+const ASSET_URL = /asset:\/\/([a-f0-9]{64})/g;
+
+// Uploaded fonts, images, textures and audio, stored under the SHA-256 of their
+// contents so the same file is only kept once. Each asset is a data file plus a
+// `<id>.json` metadata file; both expire with the rest of the temporary storage.
+class AssetStore {
+  constructor(options = config.assets) {
+    this.dir = path.resolve(__dirname, '..', options.dir);
+    // Render pages cannot load a custom scheme, so asset:// references are rewritten
+    // to this origin and answered by the network policy from disk
+    this.origin = 'https://assets.chatooly.invalid';
+  }
+
+  // Write an uploaded file to a temporary file in the store, hashing it on the way so
+  // it is never held in memory. Resolves with { id, path, size } for save() or discard().
+  // Leftovers of uploads that never finish expire like any other asset.
+  async receive(stream) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const hash = crypto.createHash('sha256');
+    const upload = { id: null, path: path.join(this.dir, `.upload-${uuidv4()}`), size: 0 };
+    const measure = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        upload.size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(stream, measure, createWriteStream(upload.path));
+    } catch (error) {
+      await this.discard(upload);
+      throw error;
+    }
+
+    upload.id = hash.digest('hex');
+    return upload;
+  }
+
+  // Store a received upload. Resolves with its metadata plus `deduplicated` when it was already stored.
+  async save(upload, { filename = null, contentType = 'application/octet-stream' } = {}) {
+    const { id } = upload;
+
+    const existing = await this.get(id);
+    if (existing) {
+      await this.discard(upload);
+      await this.touch(id);
+      return { ...existing, deduplicated: true };
+    }
+
+    const metadata = {
+      id,
+      filename,
+      contentType,
+      size: upload.size,
+      createdAt: new Date()
+    };
+
+    // Data first, so a metadata file always points at a complete asset
+    await fs.rename(upload.path, this.dataPath(id));
+    await fs.writeFile(this.metadataPath(id), JSON.stringify(metadata));
+
+    return { ...metadata, deduplicated: false };
+  }
+
+  // Drop a received upload that is not going to be saved
+  async discard(upload) {
+    await fs.rm(upload.path, { force: true });
+  }
+
+  // Metadata plus `path` of a stored asset, or null
+  async get(id) {
+    if (!ASSET_ID.test(id)) return null;
+
+    try {
+      const metadata = JSON.parse(await fs.readFile(this.metadataPath(id), 'utf8'));
+      return { ...metadata, path: this.dataPath(id) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Push back expiry: assets are cleaned up once they have not been used for a while
+  async touch(id) {
+    const now = new Date();
+    await Promise.all([this.dataPath(id), this.metadataPath(id)].map(file =>
+      fs.utimes(file, now, now).catch(() => {})
+    ));
+  }
+
+  // Asset ids referenced as asset://<id> in a string
+  findReferences(text) {
+    if (typeof text !== 'string') return [];
+    return Array.from(new Set(Array.from(text.matchAll(ASSET_URL), match => match[1])));
+  }
+
+  // Ids referenced by a render request that are not stored (any more)
+  async findMissing(ids) {
+    const missing = [];
+    for (const id of ids) {
+      if (await this.get(id)) {
+        await this.touch(id);
+      } else {
+        missing.push(id);
+      }
+    }
+    return missing;
+  }
+
+  // Rewrite asset://<id> references to URLs the render page can request
+  rewriteUrls(text) {
+    return typeof text === 'string' ? text.replace(ASSET_URL, `${this.origin}/$1`) : text;
+  }
+
+  // Asset id for a URL under `origin`, or null
+  parseUrl(url) {
+    if (!url.startsWith(`${this.origin}/`)) return null;
+    const id = url.slice(this.origin.length + 1).split(/[?#]/)[0];
+    return ASSET_ID.test(id) ? id : null;
+  }
+
+  dataPath(id) {
+    return path.join(this.dir, id);
+  }
+
+  metadataPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+}
+
+module.exports = new AssetStore();
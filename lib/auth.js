@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const jobQueue = require('./jobQueue');
+
+const DAY = 24 * 60 * 60 * 1000;
+const ACTIVE_JOBS_RETRY_AFTER = 30; // seconds; a running job has usually moved on by then
+
+// API keys with per-key limits. Keys come from API_KEYS (comma separated) and/or a
+// JSON file; when neither is set the service stays open, as before.
+class Auth {
+  constructor(options = config.auth) {
+    this.options = options;
+    this.keys = new Map(); // sha256(key) -> key record
+    this.usage = new Map(); // key id -> { day, frames }
+    this.syncJobs = new Map(); // key id -> renders answered in the request, e.g. stills
+    this.authenticate = this.authenticate.bind(this);
+    this.load();
+  }
+
+  load() {
+    const records = this.options.keys.map(key => ({ key }));
+
+    if (this.options.keysFile) {
+      const file = path.resolve(__dirname, '..', this.options.keysFile);
+      const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+      records.push(...(Array.isArray(contents) ? contents : contents.keys));
+    }
+
+    for (const { key, ...record } of records) {
+      const hash = this.hash(key);
+      this.keys.set(hash, {
+        ...this.options.defaults,
+        ...record,
+        // Job ownership is persisted, so ids have to be stable across restarts
+        id: record.id || hash.slice(0, 12)
+      });
+    }
+
+    if (this.enabled) {
+      console.log(`API key authentication enabled (${this.keys.size} keys)`);
+    } else {
+      console.warn('No API keys configured - the render API is open to anyone');
+    }
+  }
+
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  // Express middleware: resolves the request's key into req.apiKey.
+  // Browsers cannot set headers on EventSource or plain links, so ?apiKey= works too.
+  authenticate(req, res, next) {
+    if (!this.enabled) {
+      req.apiKey = null;
+      return next();
+    }
+
+    const header = req.get('Authorization');
+    const key = (header && header.match(/^Bearer\s+(.+)$/i) || [])[1] ||
+      req.get('X-API-Key') ||
+      req.query.apiKey;
+
+    if (!key) {
+      return res.status(401).json({
+        error: 'API key required',
+        status: 401
+      });
+    }
+
+    const apiKey = this.keys.get(this.hash(key));
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'Invalid API key',
+        status: 401
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  }
+
+  // Jobs are only visible to the key that created them
+  canAccess(req, job) {
+    return !req.apiKey || job.owner === req.apiKey.id;
+  }
+
+  // Check a new job against the key's limits. Returns null when it may run, or
+  // { status, error, retryAfter } - 403 for what the key may never do, 429 for quotas.
+  // Raising the priority is a privilege: it jumps ahead of other keys' turns, so
+  // callers without a key can't go above 0.
+  checkJob(apiKey, { resolution, formats, frames, priority = 0 }) {
+    const maxPriority = apiKey ? apiKey.maxPriority || 0 : 0;
+    if (priority > maxPriority) {
+      return {
+        status: 403,
+        error: apiKey ?
+          `Priority ${priority} exceeds this key's limit of ${maxPriority}` :
+          'Priorities above 0 need an API key'
+      };
+    }
+
+    if (!apiKey) return null;
+
+    if (apiKey.maxResolution && resolution > apiKey.maxResolution) {
+      return {
+        status: 403,
+        error: `Resolution ${resolution} exceeds this key's limit of ${apiKey.maxResolution}`
+      };
+    }
+
+    const denied = apiKey.allowedFormats ? formats.filter(format => !apiKey.allowedFormats.includes(format)) : [];
+    if (denied.length > 0) {
+      return {
+        status: 403,
+        error: `Format not allowed for this key: ${denied.join(', ')}. Allowed: ${apiKey.allowedFormats.join(', ')}`
+      };
+    }
+
+    const active = Array.from(jobQueue.jobs.values())
+      .filter(job => job.owner === apiKey.id && !jobQueue.isFinished(job))
+      .length + (this.syncJobs.get(apiKey.id) || 0);
+    if (apiKey.maxConcurrentJobs && active >= apiKey.maxConcurrentJobs) {
+      return {
+        status: 429,
+        error: `This key already has ${active} jobs queued or rendering (limit ${apiKey.maxConcurrentJobs})`,
+        retryAfter: ACTIVE_JOBS_RETRY_AFTER
+      };
+    }
+
+    const used = this.getUsage(apiKey);
+    if (apiKey.framesPerDay && used + frames > apiKey.framesPerDay) {
+      return {
+        status: 429,
+        error: `Daily frame quota exceeded: ${used} of ${apiKey.framesPerDay} frames used today, this job needs ${frames}`,
+        retryAfter: Math.ceil((DAY - (Date.now() % DAY)) / 1000) // until midnight UTC
+      };
+    }
+
+    return null;
+  }
+
+  // Renders that bypass the queue still count towards maxConcurrentJobs while they run
+  startSyncJob(apiKey) {
+    if (!apiKey) return;
+    this.syncJobs.set(apiKey.id, (this.syncJobs.get(apiKey.id) || 0) + 1);
+  }
+
+  finishSyncJob(apiKey) {
+    if (!apiKey) return;
+
+    const count = (this.syncJobs.get(apiKey.id) || 1) - 1;
+    if (count > 0) {
+      this.syncJobs.set(apiKey.id, count);
+    } else {
+      this.syncJobs.delete(apiKey.id);
+    }
+  }
+
+  // Frames rendered by a key today (UTC). Counted in memory, so a restart resets it.
+  getUsage(apiKey) {
+    const day = new Date().toISOString().slice(0, 10);
+    const usage = this.usage.get(apiKey.id);
+    return usage && usage.day === day ? usage.frames : 0;
+  }
+
+  recordUsage(apiKey, frames) {
+    if (!apiKey) return;
+
+    const day = new Date().toISOString().slice(0, 10);
+    this.usage.set(apiKey.id, { day, frames: this.getUsage(apiKey) + frames });
+  }
+}
+
+module.exports = new Auth();
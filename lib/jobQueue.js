@@ -1,34 +1,135 @@
 const { v4: uuidv4 } = require('uuid');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
 const config = require('../config');
+const { createJobStore } = require('./jobStore');
+const webhooks = require('./webhooks');
+const Scheduler = require('./scheduler');
 
-class JobQueue {
+const DATE_FIELDS = ['createdAt', 'startedAt', 'completedAt'];
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Slice of the overall progress bar covered by each phase, as [start, end] percentages.
+// A job either encodes (video) or packages (zip) after capturing.
+const PHASE_RANGES = {
+  loading: [0, 5],
+  capturing: [5, 80],
+  encoding: [80, 100],
+  packaging: [80, 100]
+};
+
+// Emits `job:<jobId>` with (job, updates) whenever a job changes
+class JobQueue extends EventEmitter {
   constructor() {
+    super();
+    this.setMaxListeners(0); // any number of clients may watch a job
     this.jobs = new Map();
     this.activeJobs = 0;
     this.maxConcurrent = config.rendering.maxConcurrentJobs;
-    this.queue = [];
+    this.scheduler = new Scheduler(config.scheduler);
+    this.controllers = new Map(); // jobId -> AbortController for processing jobs
+    this.store = createJobStore();
+  }
+  
+  // Reload persisted jobs after a restart
+  async initialize() {
+    const { jobs, queue } = await this.store.load();
+    const interrupted = [];
+    
+    for (const job of jobs) {
+      for (const field of DATE_FIELDS) {
+        if (job[field]) job[field] = new Date(job[field]);
+      }
+      
+      if (job.status === 'processing') {
+        // The render died with the previous process - start it again
+        Object.assign(job, {
+          status: 'queued',
+          progress: 0,
+          phase: null,
+          phaseProgress: 0,
+          currentFrame: 0,
+          startedAt: null
+        });
+        interrupted.push(job);
+        this.store.saveJob(job);
+      } else if (job.status === 'completed' && !this.hasOutput(job)) {
+        // Output was cleaned up while we were down
+        this.store.deleteJob(job.id);
+        continue;
+      }
+      
+      this.jobs.set(job.id, job);
+      
+      // Deliveries that were still retrying when we went down
+      if (this.isFinished(job) && job.callback && job.callback.status === 'pending') {
+        this.notifyCallback(job);
+      }
+    }
+    
+    // Interrupted jobs were already running, so they go first
+    const requeued = interrupted
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(job => job.id);
+    const queued = queue.filter(jobId => {
+      const job = this.jobs.get(jobId);
+      return job && job.status === 'queued' && !requeued.includes(jobId);
+    });
+    const orphaned = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued' && !requeued.includes(job.id) && !queued.includes(job.id))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(job => job.id);
+    
+    for (const jobId of [...requeued, ...queued, ...orphaned]) {
+      this.scheduler.add(this.jobs.get(jobId));
+    }
+    this.store.saveQueue(this.scheduler.ids());
+    
+    console.log(`Restored ${this.jobs.size} jobs (${this.scheduler.size} queued, ${interrupted.length} interrupted)`);
+    
+    this.processQueue();
   }
   
-  createJob(data) {
+  hasOutput(job) {
+    if (job.outputPath) {
+      return fs.existsSync(job.outputPath);
+    }
+    return fs.existsSync(path.join(__dirname, '..', config.storage.tempDir, job.id));
+  }
+  
+  // `owner` is the id of the API key that submitted the job, if any
+  createJob(data, { owner = null } = {}) {
     const jobId = uuidv4();
     const job = {
       id: jobId,
       status: 'queued',
       progress: 0,
+      phase: null,
+      phaseProgress: 0,
       currentFrame: 0,
-      totalFrames: data.duration * data.fps,
+      totalFrames: data.kind === 'still' ? 1 : data.duration * data.fps,
       data: data,
+      owner: owner,
       createdAt: new Date(),
       startedAt: null,
       completedAt: null,
       error: null,
       downloadUrl: null,
-      fileSize: null
+      fileSize: null,
+      attempts: 0,
+      maxAttempts: config.jobs.maxAttempts,
+      attemptErrors: [],
+      callback: data.callbackUrl ? {
+        url: data.callbackUrl,
+        status: 'pending',
+        deliveries: []
+      } : null
     };
     
     this.jobs.set(jobId, job);
-    this.queue.push(jobId);
-    this.processQueue();
+    this.store.saveJob(job);
+    this.enqueue(job);
     
     return job;
   }
@@ -42,56 +143,248 @@ class JobQueue {
     if (job) {
       Object.assign(job, updates);
       
-      // Calculate progress percentage
-      if (updates.currentFrame !== undefined) {
-        job.progress = Math.round((updates.currentFrame / job.totalFrames) * 100);
+      // Frame updates drive the capture phase
+      if (updates.currentFrame !== undefined && updates.phaseProgress === undefined) {
+        job.phaseProgress = Math.round((updates.currentFrame / job.totalFrames) * 100);
+      }
+      
+      // Calculate the weighted overall progress percentage
+      if (updates.progress === undefined && PHASE_RANGES[job.phase]) {
+        const [start, end] = PHASE_RANGES[job.phase];
+        job.progress = Math.round(start + (end - start) * (job.phaseProgress / 100));
+      }
+      
+      this.store.saveJob(job);
+      this.emit(`job:${jobId}`, job, updates);
+      
+      if (updates.status && this.isFinished(job) && job.callback) {
+        this.notifyCallback(job);
       }
     }
     return job;
   }
   
-  async processQueue() {
-    if (this.activeJobs >= this.maxConcurrent || this.queue.length === 0) {
-      return;
-    }
+  // POST the final job state to the job's callbackUrl, logging each attempt on the job
+  notifyCallback(job) {
+    const payload = webhooks.buildPayload(job);
+    job.callback.status = 'pending';
+    this.store.saveJob(job);
     
-    const jobId = this.queue.shift();
-    const job = this.jobs.get(jobId);
-    
-    if (!job || job.status !== 'queued') {
-      return this.processQueue();
+    webhooks.deliver(job.callback.url, payload, {
+      secret: job.data.callbackSecret,
+      onAttempt: (entry) => {
+        job.callback.deliveries.push(entry);
+        this.store.saveJob(job);
+      }
+    }).then((delivered) => {
+      job.callback.status = delivered ? 'delivered' : 'failed';
+      this.store.saveJob(job);
+      
+      if (!delivered) {
+        console.warn(`Callback for job ${job.id} failed after ${job.callback.deliveries.length} attempts`);
+      }
+    });
+  }
+  
+  isFinished(job) {
+    return FINAL_STATUSES.includes(job.status);
+  }
+  
+  enqueue(job) {
+    this.scheduler.add(job);
+    this.store.saveQueue(this.scheduler.ids());
+    this.processQueue();
+  }
+  
+  // Start jobs while there are free slots and the scheduler admits them
+  processQueue() {
+    while (this.activeJobs < this.maxConcurrent) {
+      const jobId = this.scheduler.take();
+      if (!jobId) break;
+      
+      this.store.saveQueue(this.scheduler.ids());
+      const job = this.jobs.get(jobId);
+      if (!job || job.status !== 'queued') {
+        this.scheduler.finish(jobId);
+        continue;
+      }
+      
+      this.runJob(job);
     }
-    
+  }
+  
+  async runJob(job) {
+    const jobId = job.id;
     this.activeJobs++;
     this.updateJob(jobId, {
       status: 'processing',
-      startedAt: new Date()
+      startedAt: new Date(),
+      attempts: (job.attempts || 0) + 1
     });
     
+    const controller = new AbortController();
+    this.controllers.set(jobId, controller);
+    
+    // Whole-job deadline: a retry could only hit it again
+    const timeout = job.data.timeout ? job.data.timeout * 1000 : config.jobs.timeout;
+    const deadline = setTimeout(() => {
+      const error = new Error(`Job timed out after ${timeout / 1000}s`);
+      error.timeout = true;
+      error.retryable = false;
+      controller.abort(error);
+    }, timeout);
+    
     try {
       // Import renderer dynamically to avoid circular dependencies
       const renderer = require('../workers/renderer');
-      await renderer.render(job);
+      
+      // Free the slot as soon as the job is aborted, even if the render is stuck
+      // somewhere that does not notice the signal; it finishes tearing down on its own
+      await Promise.race([
+        renderer.render(job, { signal: controller.signal }),
+        new Promise((resolve, reject) => {
+          controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        })
+      ]);
       
       this.updateJob(jobId, {
         status: 'completed',
         completedAt: new Date(),
         progress: 100,
-        downloadUrl: `/download/${jobId}`
-      });
-    } catch (error) {
-      console.error(`Job ${jobId} failed:`, error);
-      this.updateJob(jobId, {
-        status: 'failed',
-        error: error.message,
-        completedAt: new Date()
+        downloadUrl: `/download/${jobId}`,
+        downloads: this.getDownloads(job)
       });
+    } catch (renderError) {
+      const aborted = controller.signal.aborted;
+      const error = aborted ? controller.signal.reason : renderError;
+      
+      if (aborted && !error.timeout) {
+        console.log(`Job ${jobId} cancelled`);
+        this.updateJob(jobId, {
+          status: 'cancelled',
+          error: error.message,
+          completedAt: new Date()
+        });
+      } else {
+        const attemptErrors = (job.attemptErrors || []).concat({
+          attempt: job.attempts,
+          error: error.message,
+          frame: job.currentFrame,
+          at: new Date()
+        });
+        
+        if (this.isRetryable(job, error)) {
+          console.warn(`Job ${jobId} failed on attempt ${job.attempts}, retrying: ${error.message}`);
+          this.scheduleRetry(job, attemptErrors);
+        } else {
+          console.error(`Job ${jobId} failed:`, error);
+          this.updateJob(jobId, {
+            status: 'failed',
+            error: error.message,
+            attemptErrors: attemptErrors,
+            completedAt: new Date()
+          });
+        }
+      }
     } finally {
+      clearTimeout(deadline);
+      this.controllers.delete(jobId);
+      this.scheduler.finish(jobId, { completed: job.status === 'completed' });
       this.activeJobs--;
       this.processQueue();
     }
   }
   
+  // Render errors are treated as transient (browser crash, ffmpeg hiccup, timeout)
+  // unless they are flagged with `retryable: false`
+  isRetryable(job, error) {
+    const maxAttempts = job.maxAttempts || config.jobs.maxAttempts;
+    return error.retryable !== false && job.attempts < maxAttempts;
+  }
+  
+  // Put a failed job back in the queue after an exponential backoff. The renderer
+  // resumes from the frames the failed attempt left on disk.
+  scheduleRetry(job, attemptErrors) {
+    const delay = config.jobs.retryDelay * Math.pow(2, job.attempts - 1);
+    
+    this.updateJob(job.id, {
+      status: 'queued',
+      phase: null,
+      phaseProgress: 0,
+      progress: 0,
+      attemptErrors: attemptErrors
+    });
+    
+    const timer = setTimeout(() => {
+      // Cancelled while waiting
+      if (job.status !== 'queued' || this.scheduler.has(job.id)) return;
+      
+      this.enqueue(job);
+    }, delay);
+    // A persisted job is picked up again after a restart anyway
+    if (timer.unref) timer.unref();
+  }
+  
+  // Queue a failed job again with a fresh set of automatic attempts.
+  // Returns the job, or null if it does not exist.
+  retryJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    
+    this.updateJob(jobId, {
+      status: 'queued',
+      progress: 0,
+      phase: null,
+      phaseProgress: 0,
+      currentFrame: 0,
+      error: null,
+      completedAt: null,
+      maxAttempts: (job.attempts || 0) + config.jobs.maxAttempts
+    });
+    
+    this.enqueue(job);
+    
+    return job;
+  }
+  
+  // Per-format download links for a finished render
+  getDownloads(job) {
+    const downloads = {};
+    for (const [format, output] of Object.entries(job.outputs || {})) {
+      downloads[format] = {
+        url: `/download/${job.id}/${format}`,
+        fileSize: output.fileSize
+      };
+    }
+    return downloads;
+  }
+  
+  // Cancel a queued job right away, or abort a processing one.
+  // Returns the job, or null if it does not exist.
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    
+    if (job.status === 'queued') {
+      this.scheduler.remove(jobId);
+      this.store.saveQueue(this.scheduler.ids());
+      this.updateJob(jobId, {
+        status: 'cancelled',
+        error: 'Job cancelled',
+        completedAt: new Date()
+      });
+    } else if (job.status === 'processing') {
+      // The renderer closes its page, kills ffmpeg and removes the job directory;
+      // runJob then marks the job cancelled
+      const controller = this.controllers.get(jobId);
+      if (controller && !controller.signal.aborted) {
+        controller.abort(new Error('Job cancelled'));
+      }
+    }
+    
+    return job;
+  }
+  
   getStats() {
     const jobs = Array.from(this.jobs.values());
     return {
@@ -100,20 +393,32 @@ class JobQueue {
       processing: jobs.filter(j => j.status === 'processing').length,
       completed: jobs.filter(j => j.status === 'completed').length,
       failed: jobs.filter(j => j.status === 'failed').length,
+      cancelled: jobs.filter(j => j.status === 'cancelled').length,
       activeJobs: this.activeJobs,
-      queueLength: this.queue.length
+      queueLength: this.scheduler.size
     };
   }
   
+  // { position, startAt } of a queued job, or null
+  getQueueEstimate(jobId) {
+    return this.scheduler.estimate(jobId, this.maxConcurrent);
+  }
+  
   async cleanup() {
+    // Queued jobs survive the restart when they are persisted
+    if (this.store.persistent) {
+      await this.store.flush();
+      return;
+    }
+    
     // Cancel all pending jobs
-    for (const jobId of this.queue) {
+    for (const jobId of this.scheduler.ids()) {
+      this.scheduler.remove(jobId);
       this.updateJob(jobId, {
         status: 'cancelled',
         error: 'Server shutting down'
       });
     }
-    this.queue = [];
   }
   
   // Clean up old jobs from memory (keep jobs for 1 hour)
@@ -123,11 +428,12 @@ class JobQueue {
     let cleaned = 0;
     
     for (const [jobId, job] of this.jobs.entries()) {
-      // Only clean completed or failed jobs older than 1 hour
-      if ((job.status === 'completed' || job.status === 'failed') && 
+      // Only clean finished jobs older than 1 hour
+      if (this.isFinished(job) && 
           job.completedAt && 
           (now - new Date(job.completedAt).getTime()) > oneHour) {
         this.jobs.delete(jobId);
+        this.store.deleteJob(jobId);
         cleaned++;
       }
     }
@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+const QUEUE_FILE = 'queue.json';
+const DATA_SUFFIX = '.data.json';
+
+// Keeps nothing between restarts (the original in-memory behaviour)
+class MemoryJobStore {
+  constructor() {
+    this.persistent = false;
+  }
+
+  async load() {
+    return { jobs: [], queue: [] };
+  }
+
+  saveJob() {}
+
+  deleteJob() {}
+
+  saveQueue() {}
+
+  async flush() {}
+}
+
+// Persists one JSON file per job plus the queue order.
+// Writes are batched because updateJob is called for every captured frame.
+// The request data (which can hold whole pages and audio) never changes after
+// submission, so it lives in its own file and is written once per job.
+class FileJobStore {
+  constructor(dir, options = {}) {
+    this.persistent = true;
+    this.dir = dir;
+    this.writeDelay = options.writeDelay !== undefined ? options.writeDelay : 250;
+    this.pendingJobs = new Map(); // jobId -> job record, or null for deletion
+    this.storedData = new Set(); // jobIds whose data file is already on disk
+    this.pendingQueue = null;
+    this.timer = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const records = [];
+    const data = new Map();
+    let queue = [];
+    const files = await fs.readdir(this.dir);
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const contents = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        if (file === QUEUE_FILE) {
+          queue = Array.isArray(contents) ? contents : [];
+        } else if (file.endsWith(DATA_SUFFIX)) {
+          data.set(file.slice(0, -DATA_SUFFIX.length), contents);
+        } else {
+          records.push(contents);
+        }
+      } catch (error) {
+        console.warn(`Skipping unreadable job store file ${file}:`, error.message);
+      }
+    }
+
+    const jobs = [];
+    for (const record of records) {
+      if (data.has(record.id)) {
+        record.data = data.get(record.id);
+        this.storedData.add(record.id);
+      } else if (!record.data) {
+        console.warn(`Skipping job ${record.id}: its data file is missing`);
+        continue;
+      }
+      jobs.push(record);
+    }
+
+    return { jobs, queue };
+  }
+
+  saveJob(job) {
+    this.pendingJobs.set(job.id, job);
+    this.scheduleWrite();
+  }
+
+  deleteJob(jobId) {
+    this.pendingJobs.set(jobId, null);
+    this.scheduleWrite();
+  }
+
+  saveQueue(queue) {
+    this.pendingQueue = [...queue];
+    this.scheduleWrite();
+  }
+
+  scheduleWrite() {
+    if (this.timer) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(error => console.error('Job store write failed:', error));
+    }, this.writeDelay);
+
+    // Never keep the process alive just to persist job state
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    // Snapshot pending changes now so updates made during the write are picked up next time
+    const jobs = Array.from(this.pendingJobs.entries()).map(([jobId, job]) => {
+      if (!job) {
+        this.storedData.delete(jobId);
+        return [jobId, null, null];
+      }
+
+      const { data, ...record } = job;
+      const dataContents = this.storedData.has(jobId) ? null : JSON.stringify(data);
+      return [jobId, JSON.stringify(record), dataContents];
+    });
+    const queue = this.pendingQueue && JSON.stringify(this.pendingQueue);
+    this.pendingJobs.clear();
+    this.pendingQueue = null;
+
+    // A failed write must not fail every write after it
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+
+      for (const [jobId, contents, dataContents] of jobs) {
+        const filePath = path.join(this.dir, `${jobId}.json`);
+        const dataPath = path.join(this.dir, `${jobId}${DATA_SUFFIX}`);
+        if (contents === null) {
+          await fs.rm(filePath, { force: true });
+          await fs.rm(dataPath, { force: true });
+          continue;
+        }
+
+        // Data goes first so a record on disk always has its data alongside
+        // Only marked once written, so a failed data write is retried with the next update
+        if (dataContents !== null) {
+          await this.writeAtomic(dataPath, dataContents);
+          this.storedData.add(jobId);
+        }
+        await this.writeAtomic(filePath, contents);
+      }
+
+      if (queue) {
+        await this.writeAtomic(path.join(this.dir, QUEUE_FILE), queue);
+      }
+    });
+
+    return this.writing;
+  }
+
+  // Write to a temp file and rename so a crash never leaves a half-written record
+  async writeAtomic(filePath, contents) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, contents);
+    await fs.rename(tempPath, filePath);
+  }
+}
+
+function createJobStore(options = config.jobs.store) {
+  if (options.type === 'memory') {
+    return new MemoryJobStore();
+  }
+
+  if (options.type === 'file') {
+    return new FileJobStore(path.resolve(__dirname, '..', options.dir));
+  }
+
+  throw new Error(`Unknown job store type: ${options.type}`);
+}
+
+module.exports = {
+  createJobStore,
+  FileJobStore,
+  MemoryJobStore
+};
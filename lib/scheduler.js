@@ -0,0 +1,152 @@
+// Relative encoding cost of each export format, per frame
+const FORMAT_WEIGHTS = {
+  zip: 1,
+  mov: 2,
+  mp4: 1.5,
+  webm: 3,
+  gif: 2,
+  webp: 2,
+  apng: 2,
+  spritesheet: 1,
+  contactsheet: 1
+};
+
+// Decides which queued job runs next. Higher `priority` always goes first (keys may
+// only raise it up to their maxPriority); within a priority, API keys take turns,
+// then the tools of a key take turns, then FIFO.
+// A job is only started while the estimated cost of everything running fits the
+// budget, except that the first job always starts so big jobs cannot be starved.
+class Scheduler {
+  constructor({ maxCost, msPerCost }) {
+    this.maxCost = maxCost;
+    this.msPerCost = msPerCost; // learned from finished jobs
+    this.queued = new Map();    // jobId -> entry, in enqueue order
+    this.running = new Map();   // jobId -> { cost, startedAt }
+    this.served = new Map();    // owner, or owner + tool -> turn it was last served
+    this.turn = 0;
+    this.nextSeq = 0;
+  }
+
+  // frames × resolution² × format weight
+  static cost(job) {
+    const formats = job.data.exportFormats || [job.data.exportFormat || 'zip'];
+    const weight = formats.reduce((sum, format) => sum + (FORMAT_WEIGHTS[format] || 1), 0);
+    return job.totalFrames * Math.pow(job.data.resolution || 1, 2) * weight;
+  }
+
+  get size() {
+    return this.queued.size;
+  }
+
+  has(jobId) {
+    return this.queued.has(jobId);
+  }
+
+  add(job) {
+    if (this.queued.has(job.id)) return;
+
+    this.queued.set(job.id, {
+      jobId: job.id,
+      priority: job.data.priority || 0,
+      owner: job.owner || '',
+      tool: job.data.toolName || '',
+      cost: Scheduler.cost(job),
+      seq: this.nextSeq++
+    });
+  }
+
+  remove(jobId) {
+    return this.queued.delete(jobId);
+  }
+
+  // Queued job ids in enqueue order, for persistence
+  ids() {
+    return Array.from(this.queued.keys());
+  }
+
+  // Start the next job if it fits the cost budget. Returns its id, or null.
+  take() {
+    const entry = this.pick(Array.from(this.queued.values()), this.served);
+    if (!entry) return null;
+
+    if (this.running.size > 0 && this.runningCost() + entry.cost > this.maxCost) {
+      return null;
+    }
+
+    this.queued.delete(entry.jobId);
+    this.running.set(entry.jobId, { cost: entry.cost, startedAt: Date.now() });
+    this.markServed(this.served, entry, ++this.turn);
+    return entry.jobId;
+  }
+
+  // A started job stopped running. Completed jobs refine the time estimate.
+  finish(jobId, { completed = false } = {}) {
+    const run = this.running.get(jobId);
+    if (!run) return;
+
+    this.running.delete(jobId);
+    if (completed && run.cost > 0) {
+      const msPerCost = (Date.now() - run.startedAt) / run.cost;
+      this.msPerCost = this.msPerCost * 0.7 + msPerCost * 0.3;
+    }
+  }
+
+  runningCost() {
+    let total = 0;
+    for (const run of this.running.values()) {
+      total += run.cost;
+    }
+    return total;
+  }
+
+  pick(entries, served) {
+    if (entries.length === 0) return null;
+
+    const top = Math.max(...entries.map(entry => entry.priority));
+    const lastServed = (key) => (served.has(key) ? served.get(key) : -1);
+
+    return entries
+      .filter(entry => entry.priority === top)
+      .sort((a, b) =>
+        lastServed(a.owner) - lastServed(b.owner) ||
+        lastServed(`${a.owner}\u0000${a.tool}`) - lastServed(`${b.owner}\u0000${b.tool}`) ||
+        a.seq - b.seq
+      )[0];
+  }
+
+  markServed(served, entry, turn) {
+    served.set(entry.owner, turn);
+    served.set(`${entry.owner}\u0000${entry.tool}`, turn);
+  }
+
+  // Queue position (1-based) and estimated start time of a queued job, replaying
+  // the scheduling order over `slots` parallel workers. Returns null if not queued.
+  estimate(jobId, slots) {
+    if (!this.queued.has(jobId)) return null;
+
+    const now = Date.now();
+    const free = Array.from({ length: slots }, () => 0);
+    Array.from(this.running.values()).forEach((run, index) => {
+      free[index % slots] += Math.max(0, run.cost * this.msPerCost - (now - run.startedAt));
+    });
+
+    const remaining = Array.from(this.queued.values());
+    const served = new Map(this.served);
+    let turn = this.turn;
+
+    for (let position = 1; remaining.length > 0; position++) {
+      const entry = this.pick(remaining, served);
+      remaining.splice(remaining.indexOf(entry), 1);
+      this.markServed(served, entry, ++turn);
+
+      free.sort((a, b) => a - b);
+      if (entry.jobId === jobId) {
+        return { position, startAt: new Date(now + free[0]) };
+      }
+      free[0] += entry.cost * this.msPerCost;
+    }
+    return null;
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,51 @@
+// Counting semaphore. acquire(max) waits until at least one permit is free,
+// then takes as many as are available, up to `max`, and resolves with that count.
+class Semaphore {
+  constructor(size) {
+    this.size = size;
+    this.available = size;
+    this.waiting = [];
+  }
+
+  acquire(max = 1, signal = null) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (this.available > 0 && this.waiting.length === 0) {
+      return Promise.resolve(this.take(max));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { max, resolve };
+      this.waiting.push(waiter);
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const index = this.waiting.indexOf(waiter);
+          if (index !== -1) {
+            this.waiting.splice(index, 1);
+            reject(signal.reason);
+          }
+        }, { once: true });
+      }
+    });
+  }
+
+  release(count = 1) {
+    this.available = Math.min(this.size, this.available + count);
+
+    while (this.waiting.length > 0 && this.available > 0) {
+      const waiter = this.waiting.shift();
+      waiter.resolve(this.take(waiter.max));
+    }
+  }
+
+  take(max) {
+    const count = Math.min(max, this.available);
+    this.available -= count;
+    return count;
+  }
+}
+
+module.exports = Semaphore;
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const networkPolicy = require('../workers/network-policy');
+
+class WebhookDispatcher {
+  constructor(options = config.webhooks) {
+    this.maxAttempts = options.maxAttempts;
+    this.retryDelay = options.retryDelay;
+    this.timeout = options.timeout;
+    this.blockPrivateAddresses = options.blockPrivateAddresses !== undefined ?
+      options.blockPrivateAddresses :
+      config.network.blockPrivateAddresses;
+  }
+
+  // Reason to refuse delivering to `url`, or null. Callbacks go through the same
+  // private address block as render pages so they can't be used to reach the internal network.
+  async checkUrl(url) {
+    if (!this.blockPrivateAddresses) return null;
+    return networkPolicy.checkAddress(networkPolicy.hostname(url));
+  }
+
+  buildPayload(job) {
+    const absolute = (url) => (url && config.server.publicUrl ? new URL(url, config.server.publicUrl).toString() : url);
+
+    const downloads = {};
+    for (const [format, download] of Object.entries(job.downloads || {})) {
+      downloads[format] = { ...download, url: absolute(download.url) };
+    }
+
+    return {
+      event: `job.${job.status}`,
+      jobId: job.id,
+      status: job.status,
+      toolName: job.data.toolName,
+      downloadUrl: absolute(job.downloadUrl) || null,
+      fileSize: job.fileSize || null,
+      downloads: downloads,
+      error: job.error || null,
+      completedAt: job.completedAt,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // HMAC-SHA256 of the raw request body, hex encoded
+  sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  // POST the payload, retrying with exponential backoff.
+  // `onAttempt` receives a log entry after every attempt. Resolves to true once delivered.
+  async deliver(url, payload, { secret = null, onAttempt = () => {} } = {}) {
+    const body = JSON.stringify(payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Chatooly-Render-Service/1.0.0',
+      'X-Chatooly-Event': payload.event,
+      'X-Chatooly-Delivery': uuidv4()
+    };
+    if (secret) {
+      headers['X-Chatooly-Signature'] = this.sign(body, secret);
+    }
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      const entry = {
+        attempt,
+        at: new Date(startedAt),
+        statusCode: null,
+        error: null,
+        durationMs: null
+      };
+
+      try {
+        // Checked before every attempt, since the host may resolve differently by now
+        const blocked = await this.checkUrl(url);
+        if (blocked) {
+          throw new Error(`Callback blocked: ${blocked}`);
+        }
+
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          // A redirect could point anywhere, including past the address check
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.timeout)
+        });
+        entry.statusCode = response.status;
+        if (response.status >= 300 && response.status < 400) {
+          entry.error = `HTTP ${response.status}: redirects are not followed`;
+        } else if (!response.ok) {
+          entry.error = `HTTP ${response.status}`;
+        }
+      } catch (error) {
+        entry.error = error.message;
+      }
+
+      entry.durationMs = Date.now() - startedAt;
+      onAttempt(entry);
+
+      if (!entry.error) {
+        return true;
+      }
+
+      if (attempt < this.maxAttempts) {
+        await this.wait(this.retryDelay * Math.pow(2, attempt - 1));
+      }
+    }
+
+    return false;
+  }
+
+  wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      // Pending retries should not hold up a shutdown
+      if (timer.unref) timer.unref();
+    });
+  }
+}
+
+module.exports = new WebhookDispatcher();
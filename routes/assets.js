@@ -0,0 +1,93 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const config = require('../config');
+const assetStore = require('../lib/assetStore');
+
+// Files stream into the asset store while they are hashed, so even the largest
+// upload never has to fit in memory
+const upload = multer({
+  storage: {
+    _handleFile(req, file, callback) {
+      assetStore.receive(file.stream).then(received => callback(null, received), callback);
+    },
+    _removeFile(req, file, callback) {
+      assetStore.discard(file).then(() => callback(null), callback);
+    }
+  },
+  limits: {
+    fileSize: config.assets.maxFileSize,
+    files: config.assets.maxFiles
+  }
+});
+
+function describeAsset(asset) {
+  return {
+    id: asset.id,
+    url: `asset://${asset.id}`,
+    filename: asset.filename,
+    contentType: asset.contentType,
+    size: asset.size
+  };
+}
+
+// Upload one or more files (any field name). Identical files get the same id.
+router.post('/', (req, res) => {
+  upload.any()(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.code === 'LIMIT_FILE_SIZE' || uploadError.code === 'LIMIT_FILE_COUNT' ? 413 : 400;
+      const messages = {
+        LIMIT_FILE_SIZE: `File too large. Maximum is ${Math.round(config.assets.maxFileSize / 1024 / 1024)}MB`,
+        LIMIT_FILE_COUNT: `Too many files. Maximum is ${config.assets.maxFiles} per upload`
+      };
+      return res.status(status).json({
+        error: messages[uploadError.code] || uploadError.message,
+        status: status
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded. Send multipart/form-data with one or more files',
+        status: 400
+      });
+    }
+
+    try {
+      const assets = [];
+      for (const file of req.files) {
+        const asset = await assetStore.save(file, {
+          filename: file.originalname,
+          contentType: file.mimetype
+        });
+        assets.push({ ...describeAsset(asset), deduplicated: asset.deduplicated });
+      }
+
+      res.status(201).json({ assets });
+    } catch (error) {
+      console.error('Asset upload error:', error);
+      // Saved files were moved into place already; this drops the rest
+      await Promise.all(req.files.map(file => assetStore.discard(file).catch(() => {})));
+      res.status(500).json({
+        error: 'Failed to store assets',
+        status: 500
+      });
+    }
+  });
+});
+
+// Check whether an asset is still stored before referencing it
+router.get('/:assetId', async (req, res) => {
+  const asset = await assetStore.get(req.params.assetId);
+
+  if (!asset) {
+    return res.status(404).json({
+      error: 'Asset not found',
+      status: 404
+    });
+  }
+
+  res.json(describeAsset(asset));
+});
+
+module.exports = router;
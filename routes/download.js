@@ -3,13 +3,33 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const jobQueue = require('../lib/jobQueue');
+const auth = require('../lib/auth');
 
-router.get('/:jobId', (req, res) => {
+// Content type and filename label for each export format
+const OUTPUT_TYPES = {
+  zip: { contentType: 'application/zip', label: 'frames' },
+  mov: { contentType: 'video/quicktime', label: 'video' },
+  webm: { contentType: 'video/webm', label: 'video' },
+  mp4: { contentType: 'video/mp4', label: 'video' },
+  gif: { contentType: 'image/gif', label: 'animation' },
+  webp: { contentType: 'image/webp', label: 'animation' },
+  apng: { contentType: 'image/apng', label: 'animation' },
+  png: { contentType: 'image/png', label: 'still' },
+  jpeg: { contentType: 'image/jpeg', label: 'still' },
+  pdf: { contentType: 'application/pdf', label: 'still' },
+  svg: { contentType: 'image/svg+xml', label: 'still' },
+  spritesheet: { contentType: 'application/zip', label: 'spritesheet', extension: 'zip' },
+  contactsheet: { contentType: 'application/zip', label: 'contactsheet', extension: 'zip' }
+};
+
+// Serve a job's output. Ranges (206/416), ETag/Last-Modified conditional requests (304/412)
+// and Content-Length are handled by res.sendFile, so interrupted downloads can resume.
+function sendDownload(req, res) {
   const { jobId } = req.params;
   
   const job = jobQueue.getJob(jobId);
   
-  if (!job) {
+  if (!job || !auth.canAccess(req, job)) {
     return res.status(404).json({
       error: 'Job not found',
       status: 404
@@ -24,27 +44,25 @@ router.get('/:jobId', (req, res) => {
   }
   
   // Determine file path and details based on export format
-  let filePath, contentType, filename;
-  const exportFormat = job.data.exportFormat || 'zip';
+  const formats = job.data.exportFormats || [job.data.exportFormat || 'zip'];
+  const exportFormat = req.params.format || formats[0];
   
-  if (exportFormat === 'zip') {
-    filePath = path.join(__dirname, '..', 'storage', 'temp', jobId, 'output.zip');
-    contentType = 'application/zip';
-    filename = `${job.data.toolName}_frames_${Date.now()}.zip`;
-  } else if (exportFormat === 'mov') {
-    filePath = path.join(__dirname, '..', 'storage', 'temp', jobId, `${jobId}.mov`);
-    contentType = 'video/quicktime';
-    filename = `${job.data.toolName}_video_${Date.now()}.mov`;
-  } else if (exportFormat === 'webm') {
-    filePath = path.join(__dirname, '..', 'storage', 'temp', jobId, `${jobId}.webm`);
-    contentType = 'video/webm';
-    filename = `${job.data.toolName}_video_${Date.now()}.webm`;
-  } else if (exportFormat === 'gif') {
-    filePath = path.join(__dirname, '..', 'storage', 'temp', jobId, `${jobId}.gif`);
-    contentType = 'image/gif';
-    filename = `${job.data.toolName}_animation_${Date.now()}.gif`;
+  if (!formats.includes(exportFormat)) {
+    return res.status(404).json({
+      error: `Format ${exportFormat} was not rendered for this job. Available: ${formats.join(', ')}`,
+      status: 404
+    });
   }
   
+  const output = OUTPUT_TYPES[exportFormat];
+  const jobDir = path.join(__dirname, '..', 'storage', 'temp', jobId);
+  const filePath = job.outputs && job.outputs[exportFormat] ?
+    job.outputs[exportFormat].path :
+    path.join(jobDir, exportFormat === 'zip' ? 'output.zip' : `${jobId}.${exportFormat}`);
+  const label = job.data.kind === 'still' ? 'still' : output.label; // WebP is both
+  // The same on every request, so a resumed download is saved under the same name
+  const filename = `${job.data.toolName}_${label}_${jobId.slice(0, 8)}.${output.extension || exportFormat}`;
+  
   // Check if file exists
   if (!fs.existsSync(filePath)) {
     return res.status(404).json({
@@ -54,22 +72,45 @@ router.get('/:jobId', (req, res) => {
   }
   
   // Set headers for download
-  res.setHeader('Content-Type', contentType);
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.attachment(filename);
+  res.type(output.contentType);
+  res.set('Cache-Control', 'private, max-age=0'); // behind API keys; revalidate with the ETag
   
-  // Stream the file
-  const stream = fs.createReadStream(filePath);
-  stream.pipe(res);
-  
-  stream.on('error', (error) => {
-    console.error('Download stream error:', error);
-    if (!res.headersSent) {
-      res.status(500).json({
-        error: 'Failed to download file',
-        status: 500
-      });
+  res.sendFile(filePath, { acceptRanges: true, etag: true, lastModified: true }, (error) => {
+    if (!error) return;
+    
+    // The client went away mid-download; it can pick up where it stopped with a Range request
+    if (res.headersSent) {
+      if (error.code !== 'ECONNABORTED') {
+        console.error('Download stream error:', error);
+      }
+      return;
+    }
+    
+    // Unsatisfiable ranges (416) and failed If-Match/If-Unmodified-Since (412) end up here too
+    const status = error.status || (error.code === 'ENOENT' ? 404 : 500);
+    const messages = {
+      404: 'Download file not found. It may have been cleaned up.',
+      412: 'The file has changed since the given ETag or date',
+      416: 'Requested range is outside the file'
+    };
+    if (status === 416) {
+      res.set('Content-Range', `bytes */${fs.statSync(filePath).size}`);
+    }
+    if (status >= 500) {
+      console.error('Download error:', error);
     }
+    
+    res.status(status).json({
+      error: messages[status] || 'Failed to download file',
+      status: status
+    });
   });
-});
+}
+
+// GET /download/:jobId serves the first requested format, /download/:jobId/:format any of them.
+// HEAD returns the same headers (size, type, ETag) without the body.
+router.head('/:jobId/:format?', sendDownload);
+router.get('/:jobId/:format?', sendDownload);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
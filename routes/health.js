@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const jobQueue = require('../lib/jobQueue');
+const browserPool = require('../workers/browser-pool');
 const os = require('os');
 
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   const stats = jobQueue.getStats();
+  const browsers = await browserPool.getStats();
   const uptime = process.uptime();
   
   res.json({
@@ -14,6 +16,7 @@ router.get('/', (req, res) => {
     uptime: Math.floor(uptime),
     timestamp: new Date().toISOString(),
     jobs: stats,
+    browsers: browsers,
     system: {
       platform: os.platform(),
       memory: {
@@ -1,14 +1,249 @@
 const express = require('express');
+const contentDisposition = require('content-disposition');
 const router = express.Router();
 const jobQueue = require('../lib/jobQueue');
+const auth = require('../lib/auth');
 const config = require('../config');
 const packager = require('../workers/packager');
+const renderer = require('../workers/renderer');
+const assetStore = require('../lib/assetStore');
+const networkPolicy = require('../workers/network-policy');
+const webhooks = require('../lib/webhooks');
+
+// viewport: screenshot of the whole page; selector: screenshot clipped to an element;
+// canvas: pixels read straight from a <canvas>
+const CAPTURE_MODES = ['viewport', 'selector', 'canvas'];
+
+// Check the optional audio track. Returns an error message, or null when valid.
+function validateAudio(audio, formats) {
+  if (typeof audio !== 'object' || Array.isArray(audio)) {
+    return 'audio must be an object';
+  }
+  
+  // Either inline base64 data or an uploaded asset
+  if (audio.asset !== undefined) {
+    if (typeof audio.asset !== 'string' || !/^(asset:\/\/)?[a-f0-9]{64}$/.test(audio.asset)) {
+      return 'audio.asset must be an asset id or asset:// URL from POST /assets';
+    }
+  } else if (typeof audio.data !== 'string' || audio.data.length === 0) {
+    return 'audio.data must be a base64 encoded audio file';
+  } else if (Buffer.byteLength(audio.data, 'base64') > config.rendering.maxAudioSize) {
+    return `Audio file too large. Maximum is ${Math.round(config.rendering.maxAudioSize / 1024 / 1024)}MB`;
+  }
+  
+  for (const field of ['offset', 'trimStart', 'trimEnd', 'fadeIn', 'fadeOut']) {
+    if (audio[field] !== undefined && audio[field] !== null &&
+        (typeof audio[field] !== 'number' || audio[field] < 0)) {
+      return `audio.${field} must be a non-negative number of seconds`;
+    }
+  }
+  
+  if (audio.trimEnd && audio.trimEnd <= (audio.trimStart || 0)) {
+    return 'audio.trimEnd must be after audio.trimStart';
+  }
+  
+  const audioFormats = packager.getAudioFormats();
+  if (!formats.some(format => audioFormats.includes(format))) {
+    return `Audio can only be added to ${audioFormats.join(', ')} exports`;
+  }
+  
+  return null;
+}
+
+// Integer ranges for the sprite/contact sheet layout options
+const SHEET_LIMITS = {
+  columns: [1, 1000],
+  padding: [0, 256],
+  maxTextureSize: [64, 16384],
+  thumbnailWidth: [16, 2048]
+};
+
+// Check the optional sprite/contact sheet layout. Returns an error message, or null when valid.
+function validateSheet(sheet) {
+  if (typeof sheet !== 'object' || Array.isArray(sheet)) {
+    return 'sheet must be an object';
+  }
+  
+  for (const [field, value] of Object.entries(sheet)) {
+    if (!SHEET_LIMITS[field]) {
+      return `Unknown sheet option: ${field}. Available: ${Object.keys(SHEET_LIMITS).join(', ')}`;
+    }
+    const [min, max] = SHEET_LIMITS[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return `sheet.${field} must be an integer between ${min} and ${max}`;
+    }
+  }
+  
+  return null;
+}
+
+const ZIP_IMAGE_FORMATS = ['png', 'jpeg', 'webp'];
+
+// Check the optional ZIP packaging options. Returns an error message, or null when valid.
+function validateZip(zip, frameCount) {
+  if (typeof zip !== 'object' || Array.isArray(zip)) {
+    return 'zip must be an object';
+  }
+  
+  const { template, startFrame, range, step, imageFormat, quality } = zip;
+  
+  if (template !== undefined) {
+    if (typeof template !== 'string' || template.length === 0 || template.length > 200 || /[\/\\]|\.\./.test(template)) {
+      return 'zip.template must be a file name without directories';
+    }
+    if (!/\{(frame|index)(:\d+)?\}/.test(template)) {
+      return 'zip.template must contain {frame} or {index} so every frame gets its own name';
+    }
+    const unknown = (template.match(/\{[^}]*\}/g) || []).filter(token => !/^\{(tool|frame|index)(:\d+)?\}$/.test(token));
+    if (unknown.length > 0) {
+      return `Unknown zip.template placeholder: ${unknown.join(', ')}. Available: {tool}, {frame}, {index}`;
+    }
+  }
+  
+  if (startFrame !== undefined && (!Number.isInteger(startFrame) || startFrame < 0)) {
+    return 'zip.startFrame must be a non-negative integer';
+  }
+  
+  if (range !== undefined && range !== null) {
+    if (typeof range !== 'object' || !Number.isInteger(range.start) || !Number.isInteger(range.end) ||
+        range.start < 0 || range.end < range.start) {
+      return 'zip.range must be { start, end } with frame indexes 0 <= start <= end';
+    }
+    if (range.start >= frameCount) {
+      return `zip.range.start must be below the ${frameCount} frames this job captures`;
+    }
+  }
+  
+  if (step !== undefined && (!Number.isInteger(step) || step < 1)) {
+    return 'zip.step must be a positive integer';
+  }
+  
+  if (imageFormat !== undefined && !ZIP_IMAGE_FORMATS.includes(imageFormat)) {
+    return `zip.imageFormat must be one of ${ZIP_IMAGE_FORMATS.join(', ')}`;
+  }
+  
+  if (quality !== undefined && (!Number.isInteger(quality) || quality < 0 || quality > 100)) {
+    return 'zip.quality must be an integer between 0 and 100';
+  }
+  
+  return null;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check a tool URL to render. Tools may be hosted on an allowed CORS origin or an
+// allow-listed domain, and must resolve to a public address. Returns an error message, or null.
+async function validateUrl(url) {
+  if (typeof url !== 'string' || !isHttpUrl(url)) {
+    return 'url must be an http(s) URL';
+  }
+  
+  const { origin } = new URL(url);
+  const hostname = networkPolicy.hostname(url);
+  if (!config.server.corsOrigins.includes(origin) && !networkPolicy.isAllowedDomain(hostname)) {
+    return `${origin} is not an allowed tool origin`;
+  }
+  
+  const reason = await networkPolicy.check(url, networkPolicy.createSession({ allowedHosts: [hostname] }));
+  return reason ? `url cannot be rendered: ${reason}` : null;
+}
+
+// Check what to render: `html` or a `url`, plus the optional `state` handed to the tool.
+// Returns an error message, or null when valid.
+async function validateSource({ html, url, state }) {
+  if (!html && !url) {
+    return 'HTML content or a url is required';
+  }
+  
+  if (html && url) {
+    return 'Send either html or url, not both';
+  }
+  
+  if (url) {
+    const urlError = await validateUrl(url);
+    if (urlError) return urlError;
+  }
+  
+  // Handed to the tool as window.__CHATOOLY_STATE__ and in localStorage
+  if (state !== null && (typeof state !== 'object' || Array.isArray(state))) {
+    return 'state must be an object';
+  }
+  
+  return null;
+}
+
+function validateCapture({ captureMode, selector }) {
+  if (!CAPTURE_MODES.includes(captureMode)) {
+    return `captureMode must be one of ${CAPTURE_MODES.join(', ')}`;
+  }
+  
+  if (selector !== null && (typeof selector !== 'string' || selector.trim() === '')) {
+    return 'selector must be a CSS selector';
+  }
+  
+  // Canvas capture defaults to the first <canvas>; an element has to be named
+  if (captureMode === 'selector' && selector === null) {
+    return 'selector is required when captureMode is selector';
+  }
+  
+  return null;
+}
+
+function validateJobOptions({ priority, timeout, frameTimeout }) {
+  if (!Number.isInteger(priority) || priority < -10 || priority > 10) {
+    return 'priority must be an integer between -10 and 10';
+  }
+  
+  // Timeouts are in seconds and may only be tightened or extended up to the server limits
+  const timeoutLimits = { timeout: config.jobs.maxTimeout, frameTimeout: config.jobs.maxFrameTimeout };
+  for (const [name, value] of Object.entries({ timeout, frameTimeout })) {
+    if (value !== null && (typeof value !== 'number' || value <= 0 || value * 1000 > timeoutLimits[name])) {
+      return `${name} must be a number of seconds between 0 and ${timeoutLimits[name] / 1000}`;
+    }
+  }
+  
+  return null;
+}
+
+async function validateCallback({ callbackUrl, callbackSecret }) {
+  if (callbackUrl !== null) {
+    if (!isHttpUrl(callbackUrl)) {
+      return 'callbackUrl must be an http(s) URL';
+    }
+    
+    const blocked = await webhooks.checkUrl(callbackUrl);
+    if (blocked) {
+      return `callbackUrl is not allowed: ${blocked}`;
+    }
+  }
+  
+  if (callbackSecret !== null && typeof callbackSecret !== 'string') {
+    return 'callbackSecret must be a string';
+  }
+  
+  return null;
+}
+
+// Uploaded assets referenced as asset://<id> that are unknown or expired
+// (checking them also keeps them from expiring)
+function findMissingAssets(...texts) {
+  return assetStore.findMissing(texts.flatMap(text => assetStore.findReferences(text)));
+}
 
 router.post('/', async (req, res) => {
   try {
     // Validate input
     const {
-      html,
+      html = null,
+      url = null,
+      state = null,
       duration = config.rendering.defaultDuration,
       fps = config.rendering.defaultFps,
       width = config.rendering.defaultWidth,
@@ -18,16 +253,31 @@ router.post('/', async (req, res) => {
       toolName = 'unknown',
       animationCode = '',
       exportFormat = 'zip',
+      exportFormats = null,
       videoQuality = 'high',
       animationSpeed = 1,
       perfectLoop = false,
-      naturalPeriod = null
+      naturalPeriod = null,
+      backgroundColor = null,
+      audio = null,
+      sheet = null,
+      zip = null,
+      streamFrames = true,
+      parallelism = 1,
+      captureMode = 'viewport',
+      selector = null,
+      priority = 0,
+      timeout = null,
+      frameTimeout = null,
+      callbackUrl = null,
+      callbackSecret = null
     } = req.body;
     
     // Input validation
-    if (!html) {
+    const sourceError = await validateSource({ html, url, state });
+    if (sourceError) {
       return res.status(400).json({
-        error: 'HTML content is required',
+        error: sourceError,
         status: 400
       });
     }
@@ -49,19 +299,131 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Validate export format
+    if (!Number.isInteger(parallelism) || parallelism < 1 || parallelism > config.rendering.maxParallelism) {
+      return res.status(400).json({
+        error: `parallelism must be an integer between 1 and ${config.rendering.maxParallelism}`,
+        status: 400
+      });
+    }
+    
+    const captureError = validateCapture({ captureMode, selector });
+    if (captureError) {
+      return res.status(400).json({
+        error: captureError,
+        status: 400
+      });
+    }
+    
+    const optionsError = validateJobOptions({ priority, timeout, frameTimeout });
+    if (optionsError) {
+      return res.status(400).json({
+        error: optionsError,
+        status: 400
+      });
+    }
+    
+    // Validate export formats - one capture can be packaged into several formats
+    if (exportFormats !== null && (!Array.isArray(exportFormats) || exportFormats.length === 0)) {
+      return res.status(400).json({
+        error: 'exportFormats must be a non-empty array',
+        status: 400
+      });
+    }
+    
+    const formats = exportFormats ? [...new Set(exportFormats)] : [exportFormat];
     const availableFormats = packager.getAvailableFormats();
-    if (!availableFormats.includes(exportFormat)) {
+    const invalidFormats = formats.filter(format => !availableFormats.includes(format));
+    if (invalidFormats.length > 0) {
       return res.status(400).json({
-        error: `Invalid export format. Available formats: ${availableFormats.join(', ')}`,
+        error: `Invalid export format: ${invalidFormats.join(', ')}. Available formats: ${availableFormats.join(', ')}`,
         status: 400,
         availableFormats
       });
     }
     
+    // Hex (#RRGGBB or #RRGGBBAA) or a CSS/ffmpeg color name
+    if (backgroundColor !== null && !/^(#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?|[a-zA-Z]+)$/.test(backgroundColor)) {
+      return res.status(400).json({
+        error: 'backgroundColor must be a hex color (#RRGGBB) or a color name',
+        status: 400
+      });
+    }
+    
+    if (zip !== null) {
+      // Frames the renderer captures; a perfect loop leaves out its last frame, which is the first one again
+      const zipError = validateZip(zip, Math.ceil(duration * fps) - (perfectLoop ? 1 : 0));
+      if (zipError) {
+        return res.status(400).json({
+          error: zipError,
+          status: 400
+        });
+      }
+    }
+    
+    if (sheet !== null) {
+      const sheetError = validateSheet(sheet);
+      if (sheetError) {
+        return res.status(400).json({
+          error: sheetError,
+          status: 400
+        });
+      }
+    }
+    
+    if (audio !== null) {
+      const audioError = validateAudio(audio, formats);
+      if (audioError) {
+        return res.status(400).json({
+          error: audioError,
+          status: 400
+        });
+      }
+    }
+    
+    // Uploaded assets referenced as asset://<id> have to exist
+    const audioAsset = audio && audio.asset ? audio.asset.replace(/^asset:\/\//, '') : null;
+    const missingAssets = await findMissingAssets(html, animationCode, audioAsset && `asset://${audioAsset}`);
+    if (missingAssets.length > 0) {
+      return res.status(400).json({
+        error: `Unknown or expired assets: ${missingAssets.join(', ')}`,
+        status: 400
+      });
+    }
+    
+    if (audioAsset && (await assetStore.get(audioAsset)).size > config.rendering.maxAudioSize) {
+      return res.status(400).json({
+        error: `Audio file too large. Maximum is ${Math.round(config.rendering.maxAudioSize / 1024 / 1024)}MB`,
+        status: 400
+      });
+    }
+    
+    const callbackError = await validateCallback({ callbackUrl, callbackSecret });
+    if (callbackError) {
+      return res.status(400).json({
+        error: callbackError,
+        status: 400
+      });
+    }
+    
+    // Per-key permissions and quotas
+    const frames = Math.ceil(duration * fps);
+    const denied = auth.checkJob(req.apiKey, { resolution, formats, frames, priority });
+    if (denied) {
+      if (denied.retryAfter) {
+        res.set('Retry-After', String(denied.retryAfter));
+      }
+      return res.status(denied.status).json({
+        error: denied.error,
+        status: denied.status,
+        retryAfter: denied.retryAfter
+      });
+    }
+    
     // Create job
     const job = jobQueue.createJob({
       html,
+      url,
+      state,
       duration,
       fps,
       width,
@@ -70,17 +432,38 @@ router.post('/', async (req, res) => {
       transparent,
       toolName,
       animationCode,
-      exportFormat,
+      exportFormat: formats[0],
+      exportFormats: formats,
       videoQuality,
       animationSpeed,
       perfectLoop,
-      naturalPeriod
+      naturalPeriod,
+      backgroundColor,
+      audio: audio && (audioAsset ? { ...audio, asset: audioAsset } : {
+        ...audio,
+        data: audio.data.replace(/^data:[^,]*,/, '') // accept data URLs as well as bare base64
+      }),
+      sheet,
+      zip,
+      streamFrames: streamFrames !== false,
+      parallelism,
+      captureMode,
+      selector,
+      priority,
+      timeout,
+      frameTimeout,
+      callbackUrl,
+      callbackSecret
+    }, {
+      owner: req.apiKey ? req.apiKey.id : null
     });
+    auth.recordUsage(req.apiKey, frames);
     
     res.json({
       jobId: job.id,
       status: job.status,
       totalFrames: job.totalFrames,
+      exportFormats: formats,
       message: 'Job created successfully'
     });
     
@@ -93,6 +476,280 @@ router.post('/', async (req, res) => {
   }
 });
 
+// A single frame at `time` seconds as PNG, JPEG, WebP, PDF or SVG. Small stills are
+// rendered while the client waits and returned directly; larger ones (or `async: true`)
+// become a queued job whose output is fetched from /download like any other.
+router.post('/still', async (req, res) => {
+  try {
+    const {
+      html = null,
+      url = null,
+      state = null,
+      time = 0,
+      format = 'png',
+      quality = 90,
+      width = config.rendering.defaultWidth,
+      height = config.rendering.defaultHeight,
+      resolution = 2,
+      transparent = true,
+      toolName = 'unknown',
+      animationCode = '',
+      captureMode = 'viewport',
+      selector = null,
+      async = false,
+      priority = 0,
+      timeout = null,
+      frameTimeout = null,
+      callbackUrl = null,
+      callbackSecret = null
+    } = req.body;
+    
+    const sourceError = await validateSource({ html, url, state });
+    if (sourceError) {
+      return res.status(400).json({
+        error: sourceError,
+        status: 400
+      });
+    }
+    
+    const formats = renderer.getStillFormats();
+    if (!formats.includes(format)) {
+      return res.status(400).json({
+        error: `Invalid still format: ${format}. Available formats: ${formats.join(', ')}`,
+        status: 400,
+        availableFormats: formats
+      });
+    }
+    
+    if (typeof time !== 'number' || time < 0) {
+      return res.status(400).json({
+        error: 'time must be a non-negative number of seconds',
+        status: 400
+      });
+    }
+    
+    if (!Number.isInteger(quality) || quality < 0 || quality > 100) {
+      return res.status(400).json({
+        error: 'quality must be an integer between 0 and 100',
+        status: 400
+      });
+    }
+    
+    if (resolution > config.rendering.maxResolution) {
+      return res.status(400).json({
+        error: `Resolution too high. Maximum is ${config.rendering.maxResolution}x`,
+        status: 400
+      });
+    }
+    
+    const captureError = validateCapture({ captureMode, selector });
+    if (captureError) {
+      return res.status(400).json({
+        error: captureError,
+        status: 400
+      });
+    }
+    
+    // A PDF is the printed page, so it always covers the whole viewport
+    if (format === 'pdf' && captureMode !== 'viewport') {
+      return res.status(400).json({
+        error: 'PDF stills can only use the viewport captureMode',
+        status: 400
+      });
+    }
+    
+    const optionsError = validateJobOptions({ priority, timeout, frameTimeout }) ||
+      await validateCallback({ callbackUrl, callbackSecret });
+    if (optionsError) {
+      return res.status(400).json({
+        error: optionsError,
+        status: 400
+      });
+    }
+    
+    const missingAssets = await findMissingAssets(html, animationCode);
+    if (missingAssets.length > 0) {
+      return res.status(400).json({
+        error: `Unknown or expired assets: ${missingAssets.join(', ')}`,
+        status: 400
+      });
+    }
+    
+    // A still counts as one frame against the key's quota
+    const denied = auth.checkJob(req.apiKey, { resolution, formats: [format], frames: 1, priority });
+    if (denied) {
+      if (denied.retryAfter) {
+        res.set('Retry-After', String(denied.retryAfter));
+      }
+      return res.status(denied.status).json({
+        error: denied.error,
+        status: denied.status,
+        retryAfter: denied.retryAfter
+      });
+    }
+    
+    const data = {
+      kind: 'still',
+      html,
+      url,
+      state,
+      time,
+      format,
+      quality,
+      duration: 0,
+      fps: config.rendering.defaultFps,
+      width,
+      height,
+      resolution,
+      transparent,
+      toolName,
+      animationCode,
+      captureMode,
+      selector,
+      exportFormat: format,
+      exportFormats: [format],
+      priority,
+      timeout,
+      frameTimeout,
+      callbackUrl,
+      callbackSecret
+    };
+    
+    const pixels = width * height * resolution * resolution;
+    // Callbacks are only sent for jobs, so a still that asks for one is always queued
+    if (async || callbackUrl !== null || pixels > config.rendering.maxSyncStillPixels) {
+      const job = jobQueue.createJob(data, {
+        owner: req.apiKey ? req.apiKey.id : null
+      });
+      auth.recordUsage(req.apiKey, 1);
+      
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        kind: 'still',
+        exportFormats: [format],
+        message: 'Still queued. Download it from /download/:jobId once the job has completed'
+      });
+    }
+    
+    // Stop rendering if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort(new Error('Client closed the connection'));
+      }
+    });
+    
+    // Counts towards the key's concurrent jobs while it renders
+    auth.startSyncJob(req.apiKey);
+    let still;
+    try {
+      still = await renderer.renderStill(data, { signal: controller.signal });
+    } finally {
+      auth.finishSyncJob(req.apiKey);
+    }
+    auth.recordUsage(req.apiKey, 1);
+    
+    res.set('Content-Type', still.contentType);
+    res.set('Content-Disposition', contentDisposition(`${toolName}_still.${format}`, { type: 'inline' }));
+    res.send(still.buffer);
+    
+  } catch (error) {
+    console.error('Still render error:', error);
+    if (!res.headersSent && !res.destroyed) {
+      res.status(error.timeout ? 504 : 500).json({
+        error: `Failed to render still: ${error.message}`,
+        status: error.timeout ? 504 : 500
+      });
+    }
+  }
+});
+
+// Cancel a job: queued jobs are dropped, processing jobs are aborted
+router.delete('/:jobId', (req, res) => {
+  const { jobId } = req.params;
+  const job = jobQueue.getJob(jobId);
+  
+  if (!job || !auth.canAccess(req, job)) {
+    return res.status(404).json({
+      error: 'Job not found',
+      status: 404
+    });
+  }
+  
+  if (jobQueue.isFinished(job)) {
+    return res.status(409).json({
+      error: `Job is already ${job.status} and cannot be cancelled`,
+      status: 409
+    });
+  }
+  
+  jobQueue.cancelJob(jobId);
+  
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested'
+  });
+});
+
+// Retry a failed job, resuming from the frames it already captured
+router.post('/:jobId/retry', async (req, res) => {
+  const { jobId } = req.params;
+  const job = jobQueue.getJob(jobId);
+  
+  if (!job || !auth.canAccess(req, job)) {
+    return res.status(404).json({
+      error: 'Job not found',
+      status: 404
+    });
+  }
+  
+  if (job.status !== 'failed') {
+    return res.status(409).json({
+      error: `Only failed jobs can be retried (job is ${job.status})`,
+      status: 409
+    });
+  }
+  
+  // A retry is a new render as far as the key's limits are concerned
+  const frames = await renderer.countRemainingFrames(job);
+  const denied = auth.checkJob(req.apiKey, {
+    resolution: job.data.resolution,
+    formats: job.data.exportFormats || [job.data.exportFormat],
+    frames,
+    priority: job.data.priority || 0
+  });
+  if (denied) {
+    if (denied.retryAfter) {
+      res.set('Retry-After', String(denied.retryAfter));
+    }
+    return res.status(denied.status).json({
+      error: denied.error,
+      status: denied.status,
+      retryAfter: denied.retryAfter
+    });
+  }
+  
+  // The job may have been retried or removed while the frames were counted
+  if (job.status !== 'failed') {
+    return res.status(409).json({
+      error: `Only failed jobs can be retried (job is ${job.status})`,
+      status: 409
+    });
+  }
+  
+  jobQueue.retryJob(jobId);
+  auth.recordUsage(req.apiKey, frames);
+  
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    attempts: job.attempts,
+    message: 'Job queued for retry'
+  });
+});
+
 // Get available export formats
 router.get('/formats', async (req, res) => {
   try {
@@ -1,37 +1,119 @@
 const express = require('express');
 const router = express.Router();
 const jobQueue = require('../lib/jobQueue');
+const auth = require('../lib/auth');
 
-router.get('/:jobId', (req, res) => {
-  const { jobId } = req.params;
-  
-  const job = jobQueue.getJob(jobId);
-  
-  if (!job) {
-    return res.status(404).json({
-      error: 'Job not found',
-      status: 404
-    });
-  }
-  
+const HEARTBEAT_INTERVAL = 15000; // keeps proxies from closing idle streams
+
+function serializeJob(job) {
   const response = {
     jobId: job.id,
+    kind: job.data.kind || 'animation',
     status: job.status,
     progress: job.progress,
+    phase: job.phase,
+    phaseProgress: job.phaseProgress,
     currentFrame: job.currentFrame,
     totalFrames: job.totalFrames,
     createdAt: job.createdAt,
     startedAt: job.startedAt,
     completedAt: job.completedAt,
-    error: job.error
+    error: job.error,
+    attempts: job.attempts || 0,
+    attemptErrors: job.attemptErrors || []
   };
-  
+
+  if (job.status === 'queued') {
+    const estimate = jobQueue.getQueueEstimate(job.id);
+    response.queuePosition = estimate ? estimate.position : null;
+    response.estimatedStartAt = estimate ? estimate.startAt : null;
+  }
+
+  if (job.network) {
+    response.network = job.network;
+  }
+
+  if (job.callback) {
+    response.callback = job.callback;
+  }
+
   if (job.status === 'completed') {
     response.downloadUrl = job.downloadUrl;
     response.fileSize = job.fileSize;
+    response.downloads = job.downloads;
   }
-  
-  res.json(response);
+
+  return response;
+}
+
+router.get('/:jobId', (req, res) => {
+  const { jobId } = req.params;
+
+  const job = jobQueue.getJob(jobId);
+
+  if (!job || !auth.canAccess(req, job)) {
+    return res.status(404).json({
+      error: 'Job not found',
+      status: 404
+    });
+  }
+
+  res.json(serializeJob(job));
+});
+
+// Server-Sent Events stream of job updates.
+// Events: `status` on state transitions, `progress` while capturing/encoding,
+// then one of `completed`, `failed` or `cancelled` before the stream closes.
+router.get('/:jobId/events', (req, res) => {
+  const { jobId } = req.params;
+
+  const job = jobQueue.getJob(jobId);
+
+  if (!job || !auth.canAccess(req, job)) {
+    return res.status(404).json({
+      error: 'Job not found',
+      status: 404
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  if (jobQueue.isFinished(job)) {
+    send(job.status, serializeJob(job));
+    return res.end();
+  }
+
+  send('status', serializeJob(job));
+
+  const eventName = `job:${jobId}`;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    jobQueue.off(eventName, onUpdate);
+  };
+
+  const onUpdate = (updatedJob, updates) => {
+    if (jobQueue.isFinished(updatedJob)) {
+      send(updatedJob.status, serializeJob(updatedJob));
+      stop();
+      return res.end();
+    }
+
+    send(updates.status ? 'status' : 'progress', serializeJob(updatedJob));
+  };
+
+  jobQueue.on(eventName, onUpdate);
+  req.on('close', stop);
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
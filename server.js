@@ -5,14 +5,13 @@ const path = require('path');
 const fs = require('fs').promises;
 const cron = require('node-cron');
 require('dotenv').config();
+const config = require('./config');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware - CORS setup with multiple origins
-const allowedOrigins = process.env.CORS_ORIGINS ? 
-  process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : 
-  ['http://localhost:3000', 'http://localhost:8080'];
+const allowedOrigins = config.server.corsOrigins;
 
 app.use(cors({
   origin: function(origin, callback) {
@@ -26,11 +25,15 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'HEAD', 'POST', 'DELETE', 'OPTIONS'],
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Range', 'If-None-Match', 'If-Modified-Since', 'If-Range'],
+  // Lets browser clients size and resume downloads
+  exposedHeaders: ['Content-Length', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified', 'Content-Disposition']
 }));
 app.use(express.json({ limit: '50mb' }));
+// Keys sent as ?apiKey= must never end up in the access log
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]apiKey=)[^&#]*/gi, '$1[redacted]'));
 app.use(morgan('dev'));
 
 // Import routes
@@ -38,14 +41,18 @@ const renderRoute = require('./routes/render');
 const statusRoute = require('./routes/status');
 const downloadRoute = require('./routes/download');
 const healthRoute = require('./routes/health');
+const assetsRoute = require('./routes/assets');
 
 // Import job queue
 const jobQueue = require('./lib/jobQueue');
+const auth = require('./lib/auth');
+const browserPool = require('./workers/browser-pool');
 
 // Routes
-app.use('/render', renderRoute);
-app.use('/status', statusRoute);
-app.use('/download', downloadRoute);
+app.use('/render', auth.authenticate, renderRoute);
+app.use('/status', auth.authenticate, statusRoute);
+app.use('/download', auth.authenticate, downloadRoute);
+app.use('/assets', auth.authenticate, assetsRoute);
 app.use('/health', healthRoute);
 
 // Root endpoint
@@ -56,7 +63,10 @@ app.get('/', (req, res) => {
     status: 'online',
     endpoints: {
       render: 'POST /render',
+      assets: 'POST /assets',
+      cancel: 'DELETE /render/:jobId',
       status: 'GET /status/:jobId',
+      events: 'GET /status/:jobId/events',
       download: 'GET /download/:jobId',
       health: 'GET /health'
     }
@@ -84,19 +94,21 @@ app.use((req, res) => {
 cron.schedule('*/30 * * * *', async () => {
   console.log('Running cleanup job...');
   try {
-    // Clean up old files
-    const tempDir = path.join(__dirname, 'storage', 'temp');
-    const files = await fs.readdir(tempDir);
+    // Clean up old files: job output, and assets nobody has used since
     const now = Date.now();
     const thirtyMinutes = 30 * 60 * 1000;
     
-    for (const file of files) {
-      const filePath = path.join(tempDir, file);
-      const stats = await fs.stat(filePath);
+    for (const dir of [path.join(__dirname, 'storage', 'temp'), path.join(__dirname, config.assets.dir)]) {
+      const files = await fs.readdir(dir).catch(() => []);
       
-      if (now - stats.mtime.getTime() > thirtyMinutes) {
-        await fs.rm(filePath, { recursive: true, force: true });
-        console.log(`Cleaned up old file: ${file}`);
+      for (const file of files) {
+        const filePath = path.join(dir, file);
+        const stats = await fs.stat(filePath);
+        
+        if (now - stats.mtime.getTime() > thirtyMinutes) {
+          await fs.rm(filePath, { recursive: true, force: true });
+          console.log(`Cleaned up old file: ${file}`);
+        }
       }
     }
     
@@ -124,10 +136,13 @@ async function startServer() {
     const storageDir = path.join(__dirname, 'storage', 'temp');
     await fs.mkdir(storageDir, { recursive: true });
     
+    // Restore jobs from the previous run before accepting requests
+    await jobQueue.initialize();
+    
     app.listen(PORT, () => {
       console.log(`Chatooly Render Service running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`CORS Origin: ${process.env.CORS_ORIGIN || '*'}`);
+      console.log(`CORS Origins: ${config.server.corsOrigins.join(', ')}`);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -141,6 +156,7 @@ startServer();
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
   await jobQueue.cleanup();
+  await browserPool.closeAll();
   process.exit(0);
 });
 
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const assetStore = require('../lib/assetStore');
+const assetsRoute = require('../routes/assets');
+
+describe('asset uploads', () => {
+  const originalDir = assetStore.dir;
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    assetStore.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'assets-'));
+
+    const app = express();
+    app.use('/assets', assetsRoute);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(assetStore.dir, { recursive: true, force: true });
+    assetStore.dir = originalDir;
+  });
+
+  const sha256 = (contents) => crypto.createHash('sha256').update(contents).digest('hex');
+
+  test('hashes a received stream without buffering it and saves it under its hash', async () => {
+    const contents = Buffer.alloc(1024 * 1024, 7);
+    const upload = await assetStore.receive(Readable.from([contents.subarray(0, 1024), contents.subarray(1024)]));
+
+    expect(upload.id).toBe(sha256(contents));
+    expect(upload.size).toBe(contents.length);
+
+    const asset = await assetStore.save(upload, { filename: 'big.bin' });
+    expect(asset.deduplicated).toBe(false);
+    expect((await fs.readFile(assetStore.dataPath(upload.id))).equals(contents)).toBe(true);
+    expect(await fs.readdir(assetStore.dir)).toEqual([upload.id, `${upload.id}.json`].sort());
+  });
+
+  test('drops the temporary file when the stream fails', async () => {
+    const failing = new Readable({
+      read() {
+        this.destroy(new Error('connection reset'));
+      }
+    });
+
+    await expect(assetStore.receive(failing)).rejects.toThrow('connection reset');
+    expect(await fs.readdir(assetStore.dir)).toEqual([]);
+  });
+
+  test('stores uploaded files and deduplicates identical ones', async () => {
+    const form = new FormData();
+    form.append('files', new Blob(['body { color: red }'], { type: 'text/css' }), 'style.css');
+    form.append('files', new Blob(['body { color: red }'], { type: 'text/css' }), 'copy.css');
+
+    const response = await fetch(`${baseUrl}/assets`, { method: 'POST', body: form });
+    const { assets } = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(assets.map(asset => [asset.filename, asset.deduplicated])).toEqual([
+      ['style.css', false],
+      ['style.css', true] // an identical file keeps the first upload's metadata
+    ]);
+    expect(assets[0].id).toBe(sha256('body { color: red }'));
+    expect(assets[0].size).toBe(19);
+
+    // Only the asset and its metadata are left, no temporary uploads
+    expect((await fs.readdir(assetStore.dir)).sort()).toEqual([assets[0].id, `${assets[0].id}.json`].sort());
+  });
+
+  test('rejects requests without files', async () => {
+    const form = new FormData();
+    form.append('note', 'no files here');
+
+    const response = await fetch(`${baseUrl}/assets`, { method: 'POST', body: form });
+
+    expect(response.status).toBe(400);
+  });
+});
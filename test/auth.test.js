@@ -0,0 +1,42 @@
+// Loading auth without keys configured warns that the API is open
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+const auth = require('../lib/auth');
+
+describe('auth priority limits', () => {
+  test('callers without a key cannot raise the priority', () => {
+    expect(auth.checkJob(null, { resolution: 1, formats: ['zip'], frames: 1, priority: 0 })).toBeNull();
+    expect(auth.checkJob(null, { resolution: 1, formats: ['zip'], frames: 1, priority: -5 })).toBeNull();
+    expect(auth.checkJob(null, { resolution: 1, formats: ['zip'], frames: 1, priority: 10 })).toEqual({
+      status: 403,
+      error: 'Priorities above 0 need an API key'
+    });
+  });
+
+  test('keys are capped at their maxPriority', () => {
+    const apiKey = { id: 'studio', maxPriority: 5 };
+    expect(auth.checkJob(apiKey, { resolution: 1, formats: ['zip'], frames: 1, priority: 5 })).toBeNull();
+    expect(auth.checkJob(apiKey, { resolution: 1, formats: ['zip'], frames: 1, priority: 6 }).status).toBe(403);
+    expect(auth.checkJob({ id: 'basic' }, { resolution: 1, formats: ['zip'], frames: 1, priority: 1 }).status).toBe(403);
+  });
+});
+
+describe('auth concurrent jobs', () => {
+  const apiKey = { id: 'still-key', maxConcurrentJobs: 1 };
+
+  test('counts renders running in the request', () => {
+    expect(auth.checkJob(apiKey, { resolution: 1, formats: ['png'], frames: 1 })).toBeNull();
+
+    auth.startSyncJob(apiKey);
+    const denied = auth.checkJob(apiKey, { resolution: 1, formats: ['png'], frames: 1 });
+    expect(denied.status).toBe(429);
+    expect(denied.retryAfter).toBeGreaterThan(0);
+
+    auth.finishSyncJob(apiKey);
+    expect(auth.checkJob(apiKey, { resolution: 1, formats: ['png'], frames: 1 })).toBeNull();
+  });
+
+  test('checks still formats against allowedFormats', () => {
+    const limited = { id: 'video-key', allowedFormats: ['mp4'] };
+    expect(auth.checkJob(limited, { resolution: 1, formats: ['png'], frames: 1 }).status).toBe(403);
+  });
+});
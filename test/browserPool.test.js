@@ -0,0 +1,47 @@
+const browserPool = require('../workers/browser-pool');
+
+const BrowserPool = browserPool.constructor;
+
+// Browser whose pages never finish closing, like one stuck in a script loop
+function hungBrowser() {
+  return {
+    closed: false,
+    isConnected() { return !this.closed; },
+    newPage: async () => ({ isClosed: () => false, close: () => new Promise(() => {}) }),
+    close: async function() { this.closed = true; },
+    process: () => null,
+    on: () => {}
+  };
+}
+
+describe('BrowserPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = new BrowserPool({
+      maxBrowsers: 1,
+      maxPagesPerBrowser: 4,
+      recycleAfterJobs: 100,
+      maxRssMb: 1024,
+      healthCheckTimeout: 10
+    });
+    pool.launch = async () => {
+      const entry = { id: pool.nextId++, browser: hungBrowser(), pages: 0, jobs: new Set(), retiring: false, crashed: false, closing: false };
+      pool.entries.push(entry);
+      return entry;
+    };
+  });
+
+  test('a page that will not close takes its browser down as crashed', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const hung = await pool.acquirePage('job-a');
+    const other = await pool.acquirePage('job-b');
+
+    await hung.destroy();
+
+    expect(pool.entries).toHaveLength(0);
+    // The other job's pages went down with the browser and may be retried elsewhere
+    expect(other.crashed()).toBe(true);
+    warn.mockRestore();
+  });
+});
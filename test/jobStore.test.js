@@ -0,0 +1,146 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createJobStore, FileJobStore, MemoryJobStore } = require('../lib/jobStore');
+
+describe('FileJobStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-store-'));
+    store = new FileJobStore(dir, { writeDelay: 10 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  function makeJob(id, fields = {}) {
+    return {
+      id,
+      status: 'queued',
+      progress: 0,
+      data: { html: '<canvas></canvas>', toolName: 'test' },
+      ...fields
+    };
+  }
+
+  test('round-trips jobs and queue order', async () => {
+    store.saveJob(makeJob('a'));
+    store.saveJob(makeJob('b', { status: 'completed' }));
+    store.saveQueue(['b', 'a']);
+    await store.flush();
+
+    const { jobs, queue } = await new FileJobStore(dir).load();
+
+    expect(queue).toEqual(['b', 'a']);
+    expect(jobs.map(job => job.id).sort()).toEqual(['a', 'b']);
+    expect(jobs.find(job => job.id === 'a').data).toEqual({ html: '<canvas></canvas>', toolName: 'test' });
+  });
+
+  test('writes request data once and keeps it out of progress updates', async () => {
+    const job = makeJob('a');
+    store.saveJob(job);
+    await store.flush();
+
+    const dataPath = path.join(dir, 'a.data.json');
+    await fs.writeFile(dataPath, JSON.stringify({ marker: true }));
+
+    job.progress = 50;
+    store.saveJob(job);
+    await store.flush();
+
+    const record = JSON.parse(await fs.readFile(path.join(dir, 'a.json'), 'utf8'));
+    expect(record.progress).toBe(50);
+    expect(record.data).toBeUndefined();
+    expect(JSON.parse(await fs.readFile(dataPath, 'utf8'))).toEqual({ marker: true });
+  });
+
+  test('batches writes until the delay passes', async () => {
+    const job = makeJob('a');
+    store.saveJob(job);
+    job.progress = 10;
+    store.saveJob(job);
+
+    expect(await fs.readdir(dir)).toEqual([]);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await store.writing;
+
+    const record = JSON.parse(await fs.readFile(path.join(dir, 'a.json'), 'utf8'));
+    expect(record.progress).toBe(10);
+  });
+
+  test('recovers from a failed write and writes the data again', async () => {
+    const storeDir = path.join(dir, 'store');
+    const failing = new FileJobStore(storeDir, { writeDelay: 10 });
+    // A file where the directory should be makes the write fail
+    await fs.writeFile(storeDir, '');
+
+    const job = makeJob('a');
+    failing.saveJob(job);
+    await expect(failing.flush()).rejects.toThrow();
+
+    await fs.rm(storeDir);
+    job.progress = 25;
+    failing.saveJob(job);
+    await failing.flush();
+
+    const record = JSON.parse(await fs.readFile(path.join(storeDir, 'a.json'), 'utf8'));
+    expect(record.progress).toBe(25);
+    const data = JSON.parse(await fs.readFile(path.join(storeDir, 'a.data.json'), 'utf8'));
+    expect(data.toolName).toBe('test');
+  });
+
+  test('deletes both the record and its data', async () => {
+    store.saveJob(makeJob('a'));
+    await store.flush();
+
+    store.deleteJob('a');
+    await store.flush();
+
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+
+  test('loads records written with inline data', async () => {
+    await fs.writeFile(path.join(dir, 'a.json'), JSON.stringify(makeJob('a')));
+
+    const { jobs } = await store.load();
+
+    expect(jobs[0].data.toolName).toBe('test');
+  });
+
+  test('skips unreadable files and records without data', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await fs.writeFile(path.join(dir, 'broken.json'), '{');
+    await fs.writeFile(path.join(dir, 'b.json'), JSON.stringify({ id: 'b', status: 'queued' }));
+
+    const { jobs, queue } = await store.load();
+
+    expect(jobs).toEqual([]);
+    expect(queue).toEqual([]);
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+});
+
+describe('createJobStore', () => {
+  test('creates a memory store', () => {
+    expect(createJobStore({ type: 'memory' })).toBeInstanceOf(MemoryJobStore);
+  });
+
+  test('keeps absolute directories as they are', () => {
+    const dir = path.join(os.tmpdir(), 'absolute-job-store');
+    expect(createJobStore({ type: 'file', dir }).dir).toBe(dir);
+  });
+
+  test('resolves relative directories against the project root', () => {
+    const store = createJobStore({ type: 'file', dir: 'storage/jobs' });
+    expect(store.dir).toBe(path.resolve(__dirname, '..', 'storage/jobs'));
+  });
+
+  test('rejects unknown store types', () => {
+    expect(() => createJobStore({ type: 'redis' })).toThrow('Unknown job store type: redis');
+  });
+});
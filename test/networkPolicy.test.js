@@ -0,0 +1,108 @@
+const networkPolicy = require('../workers/network-policy');
+
+const { isPrivateAddress } = networkPolicy;
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '0.0.0.0',
+    '10.1.2.3',
+    '127.0.0.1',
+    '100.64.0.1',
+    '100.127.255.254',
+    '169.254.169.254',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.1',
+    '224.0.0.1',
+    '255.255.255.255'
+  ])('blocks IPv4 %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each([
+    '8.8.8.8',
+    '93.184.216.34',
+    '100.63.255.255',
+    '100.128.0.1',
+    '172.15.0.1',
+    '172.32.0.1',
+    '192.167.1.1',
+    '169.253.0.1'
+  ])('allows IPv4 %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  test.each([
+    '::',
+    '::1',
+    'fc00::1',
+    'fd12:3456::1',
+    'fe80::1',
+    'febf::1',
+    'ff02::1',
+    'FE80::ABCD'
+  ])('blocks IPv6 %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each([
+    '2001:4860:4860::8888',
+    '2606:4700::1111',
+    'fec0::1'
+  ])('allows IPv6 %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  test('checks IPv4-mapped addresses as IPv4', () => {
+    expect(isPrivateAddress('::ffff:127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('::ffff:7f00:1')).toBe(true);
+    expect(isPrivateAddress('::ffff:a9fe:a9fe')).toBe(true);
+    expect(isPrivateAddress('::ffff:8.8.8.8')).toBe(false);
+    expect(isPrivateAddress('::ffff:808:808')).toBe(false);
+  });
+});
+
+describe('NetworkPolicy.attach', () => {
+  function fakePage() {
+    const page = {
+      onNewDocument: [],
+      evaluated: [],
+      evaluateOnNewDocument: async (fn) => { page.onNewDocument.push(fn); },
+      evaluate: async (fn) => { page.evaluated.push(fn); },
+      setRequestInterception: async () => {},
+      on: () => {},
+      createCDPSession: async () => ({ send: async () => {}, on: () => {} })
+    };
+    return page;
+  }
+
+  afterEach(() => {
+    delete global.window;
+  });
+
+  test('blocks sockets in new documents and the current one', async () => {
+    const page = fakePage();
+    await networkPolicy.attach(page, networkPolicy.createSession());
+
+    // setContent writes into the existing document, so it needs the block too
+    expect(page.evaluated).toHaveLength(1);
+    expect(page.onNewDocument).toContain(page.evaluated[0]);
+  });
+
+  test('makes socket constructors throw, once per document', async () => {
+    const page = fakePage();
+    await networkPolicy.attach(page, networkPolicy.createSession());
+    const blockSocketApis = page.evaluated[0];
+
+    global.window = { WebSocket: class {}, RTCPeerConnection: class {} };
+    blockSocketApis();
+    blockSocketApis();
+
+    expect(() => new window.WebSocket('wss://example.com')).toThrow('WebSocket is not available while rendering');
+    expect(() => new window.RTCPeerConnection()).toThrow('RTCPeerConnection is not available while rendering');
+    expect('WebTransport' in window).toBe(false);
+
+    window.WebSocket = class {};
+    expect(() => new window.WebSocket('wss://example.com')).toThrow();
+  });
+});
@@ -0,0 +1,124 @@
+const packager = require('../workers/packager');
+
+describe('Packager.formatFrameName', () => {
+  test('fills in placeholders and adds the extension', () => {
+    expect(packager.formatFrameName('frame_{frame:04}', { tool: 'x', frame: 7, index: 0 }, 'png')).toBe('frame_0007.png');
+    expect(packager.formatFrameName('{tool}_{frame:05}', { tool: 'my-tool', frame: 1001, index: 0 }, 'jpg')).toBe('my-tool_01001.jpg');
+    expect(packager.formatFrameName('{index}', { tool: 'x', frame: 40, index: 3 }, 'webp')).toBe('3.webp');
+  });
+
+  test('does not truncate numbers wider than the padding', () => {
+    expect(packager.formatFrameName('f{frame:02}', { tool: 'x', frame: 12345, index: 0 }, 'png')).toBe('f12345.png');
+  });
+
+  test('keeps an extension the template already has', () => {
+    expect(packager.formatFrameName('{frame:03}.tif', { tool: 'x', frame: 1, index: 0 }, 'png')).toBe('001.tif');
+  });
+
+  test('leaves unknown placeholders alone', () => {
+    expect(packager.formatFrameName('{name}_{frame}', { tool: 'x', frame: 1, index: 0 }, 'png')).toBe('{name}_1.png');
+  });
+});
+
+describe('Packager.selectZipFrames', () => {
+  test('keeps every frame by default', () => {
+    expect(packager.selectZipFrames({}, 4)).toEqual([0, 1, 2, 3]);
+  });
+
+  test('applies the range and step', () => {
+    expect(packager.selectZipFrames({ range: { start: 2, end: 9 }, step: 3 }, 10)).toEqual([2, 5, 8]);
+  });
+
+  test('clips the range to the frames there are', () => {
+    expect(packager.selectZipFrames({ range: { start: 8, end: 100 } }, 10)).toEqual([8, 9]);
+    expect(packager.selectZipFrames({ range: { start: 10, end: 12 } }, 10)).toEqual([]);
+  });
+});
+
+describe('Packager.layoutSheets', () => {
+  const cell = { width: 100, height: 50 };
+
+  test('fits all frames on one roughly square sheet by default', () => {
+    expect(packager.layoutSheets(10, cell, { padding: 2, maxTextureSize: 4096 })).toEqual([
+      { start: 0, frames: 10, columns: 4, rows: 3, width: 4 * 100 + 3 * 2, height: 3 * 50 + 2 * 2 }
+    ]);
+  });
+
+  test('uses the requested columns', () => {
+    const [sheet] = packager.layoutSheets(10, cell, { columns: 6, padding: 8, maxTextureSize: 4096 });
+    expect(sheet.columns).toBe(6);
+    expect(sheet.rows).toBe(2);
+    expect(sheet.width).toBe(6 * 100 + 5 * 8);
+  });
+
+  test('never uses more columns than frames', () => {
+    expect(packager.layoutSheets(3, cell, { columns: 6, padding: 0, maxTextureSize: 4096 })[0].columns).toBe(3);
+  });
+
+  test('splits frames across sheets that stay within the texture size', () => {
+    // 4 columns and 8 rows of 100x50 cells fit in 400px with no padding
+    const sheets = packager.layoutSheets(70, cell, { columns: 10, padding: 0, maxTextureSize: 400 });
+
+    expect(sheets.map(sheet => [sheet.start, sheet.frames, sheet.rows])).toEqual([
+      [0, 32, 8],
+      [32, 32, 8],
+      [64, 6, 2]
+    ]);
+    expect(sheets.every(sheet => sheet.columns === 4 && sheet.width <= 400 && sheet.height <= 400)).toBe(true);
+  });
+
+  test('counts padding between cells only', () => {
+    // 3 cells of 100 with 2 gaps of 50 is exactly 400
+    const [sheet] = packager.layoutSheets(3, cell, { columns: 3, padding: 50, maxTextureSize: 400 });
+    expect(sheet.columns).toBe(3);
+    expect(sheet.width).toBe(400);
+  });
+
+  test('rejects frames larger than the texture size', () => {
+    expect(() => packager.layoutSheets(1, { width: 5000, height: 10 }, { padding: 0, maxTextureSize: 4096 }))
+      .toThrow(expect.objectContaining({ retryable: false }));
+  });
+});
+
+describe('Packager.createAtlases', () => {
+  const cell = { width: 10, height: 20 };
+  const sheets = [
+    { start: 0, frames: 4, columns: 2, rows: 2, width: 22, height: 42, image: 'spritesheet-0.png' },
+    { start: 4, frames: 1, columns: 2, rows: 1, width: 22, height: 20, image: 'spritesheet-1.png' }
+  ];
+  const atlases = packager.createAtlases(sheets, { format: 'spritesheet', fps: 30, name: 'my-tool', cell, padding: 2 });
+  const byName = Object.fromEntries(atlases.map(atlas => [atlas.name, JSON.parse(atlas.content)]));
+
+  test('writes a TexturePacker file per sheet and a Phaser multiatlas', () => {
+    expect(atlases.map(atlas => atlas.name)).toEqual([
+      'spritesheet-0.json',
+      'spritesheet-1.json',
+      'spritesheet.multiatlas.json'
+    ]);
+  });
+
+  test('places frames in the grid with padding', () => {
+    const { frames } = byName['spritesheet-0.json'];
+    expect(Object.keys(frames)).toEqual(['frame_0000', 'frame_0001', 'frame_0002', 'frame_0003']);
+    expect(frames.frame_0003.frame).toEqual({ x: 12, y: 22, w: 10, h: 20 });
+    expect(frames.frame_0000.duration).toBe(33);
+    expect(byName['spritesheet-1.json'].frames.frame_0004.frame).toEqual({ x: 0, y: 0, w: 10, h: 20 });
+  });
+
+  test('links the sheets as multi-packs', () => {
+    const { meta, animations } = byName['spritesheet-0.json'];
+    expect(meta.image).toBe('spritesheet-0.png');
+    expect(meta.size).toEqual({ w: 22, h: 42 });
+    expect(meta.related_multi_packs).toEqual(['spritesheet-1.json']);
+    expect(animations['my-tool']).toHaveLength(4);
+  });
+
+  test('lists every texture in the multiatlas', () => {
+    const { textures } = byName['spritesheet.multiatlas.json'];
+    expect(textures.map(texture => [texture.image, texture.frames.length])).toEqual([
+      ['spritesheet-0.png', 4],
+      ['spritesheet-1.png', 1]
+    ]);
+    expect(textures[1].frames[0].filename).toBe('frame_0004');
+  });
+});
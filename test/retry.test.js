@@ -0,0 +1,91 @@
+// One key with a small daily quota; jobs are kept in memory only
+process.env.API_KEYS = 'retry-test-key';
+process.env.KEY_FRAMES_PER_DAY = '100';
+process.env.KEY_MAX_CONCURRENT_JOBS = '1';
+process.env.JOB_STORE = 'memory';
+
+const express = require('express');
+const auth = require('../lib/auth');
+const jobQueue = require('../lib/jobQueue');
+const renderRoute = require('../routes/render');
+
+describe('POST /render/:jobId/retry', () => {
+  const apiKey = Array.from(auth.keys.values())[0];
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/render', auth.authenticate, renderRoute);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jobQueue.jobs.clear();
+    auth.usage.clear();
+    jest.spyOn(jobQueue, 'retryJob').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function addJob(id, status) {
+    const job = {
+      id,
+      status,
+      owner: apiKey.id,
+      attempts: 3,
+      totalFrames: 90,
+      data: { duration: 3, fps: 30, resolution: 1, exportFormat: 'mp4', exportFormats: ['mp4'], toolName: 'tool' }
+    };
+    jobQueue.jobs.set(id, job);
+    return job;
+  }
+
+  const retry = (jobId) => fetch(`${baseUrl}/render/${jobId}/retry`, {
+    method: 'POST',
+    headers: { 'X-API-Key': 'retry-test-key' }
+  });
+
+  test('re-queues a failed job and counts its frames', async () => {
+    addJob('failed-job', 'failed');
+
+    const response = await retry('failed-job');
+
+    expect(response.status).toBe(202);
+    expect(jobQueue.retryJob).toHaveBeenCalledWith('failed-job');
+    expect(auth.getUsage(apiKey)).toBe(90);
+  });
+
+  test('refuses a retry past the daily frame quota', async () => {
+    addJob('failed-job', 'failed');
+    auth.recordUsage(apiKey, 50);
+
+    const response = await retry('failed-job');
+    const body = await response.json();
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('retry-after')).toBe(String(body.retryAfter));
+    expect(body.error).toMatch(/Daily frame quota exceeded/);
+    expect(jobQueue.retryJob).not.toHaveBeenCalled();
+  });
+
+  test('refuses a retry while the key is at its concurrent job limit', async () => {
+    addJob('failed-job', 'failed');
+    addJob('running-job', 'processing');
+
+    const response = await retry('failed-job');
+
+    expect(response.status).toBe(429);
+    expect(jobQueue.retryJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+const Scheduler = require('../lib/scheduler');
+
+let nextId = 0;
+function makeJob({ owner = null, tool = 'tool', priority = 0, frames = 10, resolution = 1, formats = ['zip'] } = {}) {
+  return {
+    id: `job-${++nextId}`,
+    owner,
+    totalFrames: frames,
+    data: { toolName: tool, priority, resolution, exportFormats: formats }
+  };
+}
+
+// Job ids in the order they would be taken, ignoring the cost budget
+function drain(scheduler) {
+  const order = [];
+  let jobId;
+  while ((jobId = scheduler.take()) !== null) {
+    order.push(jobId);
+    scheduler.finish(jobId);
+  }
+  return order;
+}
+
+describe('Scheduler', () => {
+  test('computes cost from frames, resolution and format weights', () => {
+    const job = makeJob({ frames: 30, resolution: 2, formats: ['mp4', 'gif'] });
+    expect(Scheduler.cost(job)).toBe(30 * 4 * (1.5 + 2));
+  });
+
+  test('takes higher priorities first, then FIFO', () => {
+    const scheduler = new Scheduler({ maxCost: 1000, msPerCost: 1 });
+    const low = makeJob();
+    const high = makeJob({ priority: 5 });
+    const later = makeJob();
+    [low, high, later].forEach(job => scheduler.add(job));
+
+    expect(drain(scheduler)).toEqual([high.id, low.id, later.id]);
+  });
+
+  test('lets keys take turns within a priority', () => {
+    const scheduler = new Scheduler({ maxCost: 1000, msPerCost: 1 });
+    const a = [1, 2, 3].map(() => makeJob({ owner: 'a' }));
+    const b = [1, 2].map(() => makeJob({ owner: 'b' }));
+    [...a, ...b].forEach(job => scheduler.add(job));
+
+    expect(drain(scheduler)).toEqual([a[0].id, b[0].id, a[1].id, b[1].id, a[2].id]);
+  });
+
+  test('lets the tools of a key take turns', () => {
+    const scheduler = new Scheduler({ maxCost: 1000, msPerCost: 1 });
+    const first = [1, 2].map(() => makeJob({ owner: 'a', tool: 'first' }));
+    const second = makeJob({ owner: 'a', tool: 'second' });
+    [...first, second].forEach(job => scheduler.add(job));
+
+    expect(drain(scheduler)).toEqual([first[0].id, second.id, first[1].id]);
+  });
+
+  test('holds jobs back while the running cost is over budget', () => {
+    const scheduler = new Scheduler({ maxCost: 15, msPerCost: 1 });
+    const big = makeJob({ frames: 20 });
+    const small = makeJob({ frames: 10 });
+    scheduler.add(big);
+    scheduler.add(small);
+
+    // The first job always starts, even over budget
+    expect(scheduler.take()).toBe(big.id);
+    expect(scheduler.take()).toBeNull();
+
+    scheduler.finish(big.id);
+    expect(scheduler.take()).toBe(small.id);
+  });
+
+  test('ignores duplicate adds and removes queued jobs', () => {
+    const scheduler = new Scheduler({ maxCost: 1000, msPerCost: 1 });
+    const job = makeJob();
+    scheduler.add(job);
+    scheduler.add(job);
+    expect(scheduler.size).toBe(1);
+    expect(scheduler.ids()).toEqual([job.id]);
+
+    expect(scheduler.remove(job.id)).toBe(true);
+    expect(scheduler.has(job.id)).toBe(false);
+    expect(scheduler.take()).toBeNull();
+  });
+
+  test('estimates queue position and start time in scheduling order', () => {
+    const scheduler = new Scheduler({ maxCost: 1000, msPerCost: 10 });
+    const a = [1, 2].map(() => makeJob({ owner: 'a', frames: 10 }));
+    const b = makeJob({ owner: 'b', frames: 10 });
+    [...a, b].forEach(job => scheduler.add(job));
+
+    const before = Date.now();
+    const estimate = scheduler.estimate(a[1].id, 1);
+
+    expect(estimate.position).toBe(3);
+    // Two jobs of cost 10 at 10ms per cost unit run first on the single slot
+    expect(estimate.startAt.getTime()).toBeGreaterThanOrEqual(before + 200);
+    expect(scheduler.estimate(b.id, 1).position).toBe(2);
+    expect(scheduler.estimate('missing', 1)).toBeNull();
+  });
+
+  test('refines the time estimate from completed jobs', () => {
+    const scheduler = new Scheduler({ maxCost: 1000, msPerCost: 100 });
+    const job = makeJob({ frames: 10 });
+    scheduler.add(job);
+    scheduler.take();
+    scheduler.finish(job.id, { completed: true });
+
+    expect(scheduler.msPerCost).toBeLessThan(100);
+  });
+});
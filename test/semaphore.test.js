@@ -0,0 +1,68 @@
+const Semaphore = require('../lib/semaphore');
+
+describe('Semaphore', () => {
+  test('takes as many permits as are free, up to the maximum asked for', async () => {
+    const semaphore = new Semaphore(4);
+
+    expect(await semaphore.acquire(3)).toBe(3);
+    expect(await semaphore.acquire(3)).toBe(1);
+    expect(semaphore.available).toBe(0);
+  });
+
+  test('waits for a release when nothing is free', async () => {
+    const semaphore = new Semaphore(1);
+    await semaphore.acquire();
+
+    let acquired = null;
+    const waiting = semaphore.acquire(2).then(count => { acquired = count; });
+    await Promise.resolve();
+    expect(acquired).toBeNull();
+
+    semaphore.release();
+    await waiting;
+    expect(acquired).toBe(1);
+  });
+
+  test('serves waiters in order', async () => {
+    const semaphore = new Semaphore(2);
+    await semaphore.acquire(2);
+
+    const order = [];
+    const first = semaphore.acquire(1).then(count => order.push(['first', count]));
+    const second = semaphore.acquire(2).then(count => order.push(['second', count]));
+
+    semaphore.release(2);
+    await Promise.all([first, second]);
+    expect(order).toEqual([['first', 1], ['second', 1]]);
+  });
+
+  test('never holds more permits than its size', () => {
+    const semaphore = new Semaphore(2);
+    semaphore.release(5);
+    expect(semaphore.available).toBe(2);
+  });
+
+  test('rejects right away with an aborted signal', async () => {
+    const semaphore = new Semaphore(1);
+    const controller = new AbortController();
+    controller.abort(new Error('cancelled'));
+
+    await expect(semaphore.acquire(1, controller.signal)).rejects.toThrow('cancelled');
+    expect(semaphore.available).toBe(1);
+  });
+
+  test('drops a waiter whose signal aborts', async () => {
+    const semaphore = new Semaphore(1);
+    await semaphore.acquire();
+    const controller = new AbortController();
+
+    const waiting = semaphore.acquire(1, controller.signal);
+    controller.abort(new Error('cancelled'));
+    await expect(waiting).rejects.toThrow('cancelled');
+    expect(semaphore.waiting).toHaveLength(0);
+
+    // The permit goes to whoever asks next instead of the aborted waiter
+    semaphore.release();
+    expect(await semaphore.acquire()).toBe(1);
+  });
+});
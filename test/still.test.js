@@ -0,0 +1,63 @@
+process.env.JOB_STORE = 'memory';
+
+const express = require('express');
+const jobQueue = require('../lib/jobQueue');
+const renderer = require('../workers/renderer');
+
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+const renderRoute = require('../routes/render');
+
+describe('POST /render/still', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/render', renderRoute);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(jobQueue, 'createJob').mockImplementation(() => ({ id: 'still-job', status: 'queued' }));
+    jest.spyOn(renderer, 'renderStill').mockResolvedValue({ buffer: Buffer.from('png'), contentType: 'image/png' });
+  });
+
+  afterEach(() => {
+    jobQueue.createJob.mockRestore();
+    renderer.renderStill.mockRestore();
+  });
+
+  const still = (body) => fetch(`${baseUrl}/render/still`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ html: '<canvas></canvas>', width: 100, height: 100, resolution: 1, ...body })
+  });
+
+  test('queues a small still when a callback is requested', async () => {
+    const response = await still({ callbackUrl: 'https://93.184.216.34/hooks/render', callbackSecret: 'shh' });
+
+    expect(response.status).toBe(202);
+    expect(renderer.renderStill).not.toHaveBeenCalled();
+    expect(jobQueue.createJob.mock.calls[0][0]).toMatchObject({
+      kind: 'still',
+      callbackUrl: 'https://93.184.216.34/hooks/render',
+      callbackSecret: 'shh'
+    });
+  });
+
+  test('answers a small still without a callback in the request', async () => {
+    const response = await still({ toolName: 'my "tool"' });
+
+    expect(response.status).toBe(200);
+    expect(jobQueue.createJob).not.toHaveBeenCalled();
+    expect(response.headers.get('content-disposition')).toBe('inline; filename="my \\"tool\\"_still.png"');
+  });
+});
@@ -0,0 +1,89 @@
+const virtualTime = require('../workers/virtual-time');
+
+const EPOCH = Date.UTC(2025, 0, 1);
+
+describe('virtual time clock', () => {
+  const realPerformance = global.performance;
+  let clock;
+
+  // Run the in-page clock against a minimal window, document and performance
+  beforeEach(async () => {
+    global.performance = { now: () => realPerformance.now() };
+    global.window = {
+      setTimeout: global.setTimeout,
+      clearTimeout: global.clearTimeout,
+      requestAnimationFrame: (callback) => global.setTimeout(() => callback(realPerformance.now()), 16),
+      Date: global.Date
+    };
+    global.document = { getAnimations: () => [], querySelectorAll: () => [] };
+
+    const page = {
+      evaluateOnNewDocument: async () => {},
+      evaluate: async (fn, ...args) => fn(...args)
+    };
+    await virtualTime.install(page, { epoch: EPOCH });
+    clock = window.__chatoolyClock;
+  });
+
+  afterEach(() => {
+    global.performance = realPerformance;
+    delete global.window;
+    delete global.document;
+  });
+
+  const wait = (ms) => new Promise(resolve => global.setTimeout(resolve, ms));
+
+  test('clocks stand still at the start while the page loads', async () => {
+    const start = performance.now();
+    await wait(30);
+
+    expect(start).toBe(0);
+    expect(performance.now()).toBe(0);
+    expect(window.Date.now()).toBe(EPOCH);
+  });
+
+  test('timers and animation frames still run while the page loads', async () => {
+    const fired = [];
+    window.setTimeout(() => fired.push('timeout'), 5);
+    window.requestAnimationFrame((timestamp) => fired.push(timestamp));
+    await wait(40);
+
+    expect(fired).toEqual(['timeout', 0]);
+  });
+
+  test('time measured from setup only depends on the seeked time', async () => {
+    const start = performance.now();
+    const startDate = window.Date.now();
+    await wait(20);
+
+    clock.freeze();
+    await clock.seek(1500);
+
+    expect(performance.now() - start).toBe(1500);
+    expect(window.Date.now() - startDate).toBe(1500);
+  });
+
+  test('timers set during loading keep their remaining delay', async () => {
+    const fired = [];
+    window.setTimeout(() => fired.push(performance.now()), 1000);
+
+    clock.freeze();
+    await clock.seek(500);
+    expect(fired).toEqual([]);
+    await clock.seek(1100);
+
+    expect(fired).toHaveLength(1);
+    expect(fired[0]).toBeGreaterThan(900);
+    expect(fired[0]).toBeLessThanOrEqual(1000);
+  });
+
+  test('animation frames get the virtual time after freezing', async () => {
+    clock.freeze();
+    const timestamps = [];
+    window.requestAnimationFrame((timestamp) => timestamps.push(timestamp));
+
+    await clock.seek(250);
+
+    expect(timestamps).toEqual([250]);
+  });
+});
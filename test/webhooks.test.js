@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const http = require('http');
+const webhooks = require('../lib/webhooks');
+
+const WebhookDispatcher = webhooks.constructor;
+
+// Local server that answers each POST with the next status code in `statuses`,
+// redirecting to `location` if one is given
+function startServer(statuses, location = null) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, at: Date.now() });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      if (location) {
+        res.setHeader('Location', location);
+      }
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+    });
+  });
+}
+
+describe('WebhookDispatcher', () => {
+  let local;
+  let target;
+
+  afterEach(async () => {
+    for (const running of [local, target]) {
+      if (running) {
+        await new Promise(resolve => running.server.close(resolve));
+      }
+    }
+    local = null;
+    target = null;
+  });
+
+  const payload = { event: 'job.completed', jobId: 'job-1', status: 'completed' };
+
+  test('signs the raw body with the callback secret', async () => {
+    local = await startServer([200]);
+    const dispatcher = new WebhookDispatcher({ maxAttempts: 1, retryDelay: 10, timeout: 1000, blockPrivateAddresses: false });
+
+    const delivered = await dispatcher.deliver(local.url, payload, { secret: 'shh' });
+
+    expect(delivered).toBe(true);
+    const [request] = local.requests;
+    const expected = crypto.createHmac('sha256', 'shh').update(request.body).digest('hex');
+    expect(request.headers['x-chatooly-signature']).toBe(`sha256=${expected}`);
+    expect(request.headers['x-chatooly-event']).toBe('job.completed');
+    expect(JSON.parse(request.body)).toEqual(payload);
+  });
+
+  test('leaves the signature out without a secret', async () => {
+    local = await startServer([200]);
+    const dispatcher = new WebhookDispatcher({ maxAttempts: 1, retryDelay: 10, timeout: 1000, blockPrivateAddresses: false });
+
+    await dispatcher.deliver(local.url, payload);
+
+    expect(local.requests[0].headers['x-chatooly-signature']).toBeUndefined();
+  });
+
+  test('retries failed attempts with backoff and logs each one', async () => {
+    local = await startServer([500, 503, 204]);
+    const dispatcher = new WebhookDispatcher({ maxAttempts: 5, retryDelay: 20, timeout: 1000, blockPrivateAddresses: false });
+    const deliveries = [];
+
+    const delivered = await dispatcher.deliver(local.url, payload, { onAttempt: entry => deliveries.push(entry) });
+
+    expect(delivered).toBe(true);
+    expect(deliveries.map(entry => [entry.attempt, entry.statusCode, entry.error])).toEqual([
+      [1, 500, 'HTTP 500'],
+      [2, 503, 'HTTP 503'],
+      [3, 204, null]
+    ]);
+    expect(deliveries.every(entry => entry.at instanceof Date && entry.durationMs >= 0)).toBe(true);
+
+    // Delays double: 20ms, then 40ms
+    const [first, second, third] = local.requests.map(request => request.at);
+    expect(second - first).toBeGreaterThanOrEqual(15);
+    expect(third - second).toBeGreaterThanOrEqual(35);
+
+    // Every attempt of one delivery shares its delivery id
+    expect(new Set(local.requests.map(request => request.headers['x-chatooly-delivery'])).size).toBe(1);
+  });
+
+  test('gives up after the last attempt', async () => {
+    local = await startServer([500]);
+    const dispatcher = new WebhookDispatcher({ maxAttempts: 2, retryDelay: 5, timeout: 1000, blockPrivateAddresses: false });
+    const deliveries = [];
+
+    const delivered = await dispatcher.deliver(local.url, payload, { onAttempt: entry => deliveries.push(entry) });
+
+    expect(delivered).toBe(false);
+    expect(deliveries).toHaveLength(2);
+    expect(local.requests).toHaveLength(2);
+  });
+
+  test('does not follow redirects', async () => {
+    target = await startServer([200]);
+    local = await startServer([302, 307], target.url);
+    const dispatcher = new WebhookDispatcher({ maxAttempts: 2, retryDelay: 5, timeout: 1000, blockPrivateAddresses: false });
+    const deliveries = [];
+
+    const delivered = await dispatcher.deliver(local.url, payload, { secret: 'shh', onAttempt: entry => deliveries.push(entry) });
+
+    expect(delivered).toBe(false);
+    expect(target.requests).toHaveLength(0);
+    expect(deliveries.map(entry => [entry.statusCode, entry.error])).toEqual([
+      [302, 'HTTP 302: redirects are not followed'],
+      [307, 'HTTP 307: redirects are not followed']
+    ]);
+  });
+
+  test('refuses to deliver to private addresses', async () => {
+    local = await startServer([200]);
+    const dispatcher = new WebhookDispatcher({ maxAttempts: 2, retryDelay: 5, timeout: 1000, blockPrivateAddresses: true });
+    const deliveries = [];
+
+    const delivered = await dispatcher.deliver(local.url, payload, { onAttempt: entry => deliveries.push(entry) });
+
+    expect(delivered).toBe(false);
+    expect(local.requests).toHaveLength(0);
+    expect(deliveries[0].statusCode).toBeNull();
+    expect(deliveries[0].error).toBe('Callback blocked: 127.0.0.1 resolves to private address 127.0.0.1');
+  });
+
+  test('checks callback URLs against the private address block', async () => {
+    const blocking = new WebhookDispatcher({ maxAttempts: 1, retryDelay: 5, timeout: 1000, blockPrivateAddresses: true });
+    const open = new WebhookDispatcher({ maxAttempts: 1, retryDelay: 5, timeout: 1000, blockPrivateAddresses: false });
+
+    expect(await blocking.checkUrl('http://169.254.169.254/latest/meta-data')).toMatch(/private address/);
+    expect(await blocking.checkUrl('http://[::1]:8080/hook')).toMatch(/private address/);
+    expect(await blocking.checkUrl('https://93.184.216.34/hook')).toBeNull();
+    expect(await open.checkUrl('http://127.0.0.1/hook')).toBeNull();
+  });
+});
@@ -0,0 +1,256 @@
+const fs = require('fs').promises;
+const config = require('../config');
+
+// Hands out pages from a small set of Chromium instances. Browsers are retired
+// (no new pages, closed once idle) after serving a number of jobs or when their
+// memory grows past a threshold, and health checks replace hung or dead ones.
+class BrowserPool {
+  constructor(options = config.browserPool) {
+    this.options = options;
+    this.entries = [];
+    this.nextId = 1;
+    this.launching = null;
+    this.healthTimer = null;
+    this.puppeteer = null;
+    this.chromium = null;
+  }
+
+  async initializePuppeteer() {
+    if (!this.puppeteer) {
+      // Try to use regular puppeteer for local development
+      try {
+        this.puppeteer = require('puppeteer');
+        console.log('Using regular Puppeteer for local development');
+      } catch (e) {
+        // Fall back to puppeteer-core for production
+        this.puppeteer = require('puppeteer-core');
+        this.chromium = require('@sparticuz/chromium');
+        console.log('Using puppeteer-core with @sparticuz/chromium for production');
+      }
+    }
+    return this.puppeteer;
+  }
+
+  async launch() {
+    const puppeteer = await this.initializePuppeteer();
+
+    let launchOptions = { ...config.puppeteer };
+
+    // If using puppeteer-core (production), set executable path
+    if (this.chromium) {
+      const executablePath = await this.chromium.executablePath();
+      launchOptions.executablePath = executablePath;
+      launchOptions.args = this.chromium.args.concat(config.puppeteer.args || []);
+    }
+    // For local development with regular puppeteer, it will find Chrome automatically
+
+    const browser = await puppeteer.launch(launchOptions);
+    const entry = {
+      id: this.nextId++,
+      browser,
+      pages: 0,
+      jobs: new Set(),
+      retiring: false,
+      crashed: false,
+      closing: false
+    };
+
+    browser.on('disconnected', () => {
+      if (!entry.closing) {
+        entry.crashed = true;
+        console.error(`Browser ${entry.id} disconnected unexpectedly`);
+      }
+      this.remove(entry);
+    });
+
+    this.entries.push(entry);
+    this.startHealthChecks();
+    console.log(`Launched browser ${entry.id} (${this.entries.length} running)`);
+    return entry;
+  }
+
+  // Open a page for a job. Resolves with { page, crashed(), destroy(), release() };
+  // release() must be called when the job is done with the page.
+  async acquirePage(jobId) {
+    let entry = this.pickBrowser();
+    while (!entry) {
+      // Launch one browser at a time; callers waiting on it pick again once it is up
+      if (!this.launching) {
+        this.launching = this.launch().finally(() => {
+          this.launching = null;
+        });
+      }
+      await this.launching;
+      entry = this.pickBrowser();
+    }
+
+    entry.pages++;
+    entry.jobs.add(jobId);
+    if (entry.jobs.size >= this.options.recycleAfterJobs) {
+      entry.retiring = true;
+    }
+
+    let page;
+    try {
+      page = await entry.browser.newPage();
+    } catch (error) {
+      entry.pages--;
+      throw error;
+    }
+
+    let released = false;
+    return {
+      page,
+      crashed: () => entry.crashed,
+      // Tear down a page that stopped responding. If it will not even close (a script
+      // stuck in a loop), its browser goes too, and counts as crashed so the other
+      // jobs with pages on it retry them on a fresh browser.
+      destroy: async () => {
+        if (page.isClosed()) return;
+        const closed = await Promise.race([
+          page.close().then(() => true, () => true),
+          this.delay(this.options.healthCheckTimeout).then(() => false)
+        ]);
+        if (!closed && this.entries.includes(entry)) {
+          console.warn(`Page of job ${jobId} did not close, closing browser ${entry.id}`);
+          entry.crashed = true;
+          await this.close(entry);
+        }
+      },
+      release: async () => {
+        if (released) return;
+        released = true;
+
+        if (!page.isClosed()) {
+          await page.close().catch(() => {});
+        }
+        entry.pages--;
+        await this.checkRecycle(entry);
+      }
+    };
+  }
+
+  // Least loaded healthy browser with room for another page. Returns null when a
+  // new browser should be launched. Past the browser limit, pages share the least
+  // loaded browser: the renderer's page budget bounds the total.
+  pickBrowser() {
+    const active = this.entries.filter(entry => !entry.retiring && !entry.crashed && entry.browser.isConnected());
+    const leastLoaded = active.sort((a, b) => a.pages - b.pages)[0] || null;
+
+    if (leastLoaded && leastLoaded.pages < this.options.maxPagesPerBrowser) {
+      return leastLoaded;
+    }
+    if (active.length < this.options.maxBrowsers) {
+      return null;
+    }
+    return leastLoaded;
+  }
+
+  // Retire browsers that grew too large and close retired ones once idle
+  async checkRecycle(entry) {
+    if (!entry.retiring) {
+      const rss = await this.getRss(entry);
+      if (rss !== null && rss > this.options.maxRssMb) {
+        console.log(`Retiring browser ${entry.id}: RSS ${rss}MB is above ${this.options.maxRssMb}MB`);
+        entry.retiring = true;
+      }
+    }
+
+    if (entry.retiring && entry.pages === 0) {
+      console.log(`Recycling browser ${entry.id} after ${entry.jobs.size} jobs`);
+      await this.close(entry);
+    }
+  }
+
+  // Resident memory of the browser process in MB, or null where /proc is unavailable
+  async getRss(entry) {
+    const child = entry.browser.process();
+    if (!child || !child.pid) return null;
+
+    try {
+      const status = await fs.readFile(`/proc/${child.pid}/status`, 'utf8');
+      const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+      return match ? Math.round(parseInt(match[1]) / 1024) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer) return;
+
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => console.error('Browser health check failed:', error));
+    }, this.options.healthCheckInterval);
+
+    if (this.healthTimer.unref) this.healthTimer.unref();
+  }
+
+  // A browser that does not answer in time is treated as crashed; the renderer
+  // retries the affected frames on a fresh one
+  async checkHealth() {
+    for (const entry of [...this.entries]) {
+      try {
+        await Promise.race([
+          entry.browser.version(),
+          this.delay(this.options.healthCheckTimeout).then(() => {
+            throw new Error('health check timed out');
+          })
+        ]);
+      } catch (error) {
+        console.error(`Browser ${entry.id} failed its health check: ${error.message}`);
+        entry.crashed = true;
+        await this.close(entry);
+        continue;
+      }
+
+      await this.checkRecycle(entry);
+    }
+  }
+
+  remove(entry) {
+    this.entries = this.entries.filter(other => other !== entry);
+  }
+
+  async close(entry) {
+    entry.closing = true;
+    this.remove(entry);
+
+    // A browser that is stuck will not close politely either
+    const closed = await Promise.race([
+      entry.browser.close().then(() => true, () => false),
+      this.delay(this.options.healthCheckTimeout).then(() => false)
+    ]);
+    if (!closed) {
+      const child = entry.browser.process();
+      if (child) child.kill('SIGKILL');
+    }
+  }
+
+  delay(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      if (timer.unref) timer.unref();
+    });
+  }
+
+  async closeAll() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+    await Promise.all(this.entries.map(entry => this.close(entry)));
+  }
+
+  async getStats() {
+    return Promise.all(this.entries.map(async entry => ({
+      id: entry.id,
+      pages: entry.pages,
+      jobsServed: entry.jobs.size,
+      retiring: entry.retiring,
+      rss: await this.getRss(entry)
+    })));
+  }
+}
+
+module.exports = new BrowserPool();
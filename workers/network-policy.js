@@ -0,0 +1,205 @@
+const dns = require('dns').promises;
+const fs = require('fs').promises;
+const net = require('net');
+const config = require('../config');
+const assetStore = require('../lib/assetStore');
+
+// Schemes that never leave the page
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+// True for loopback, private, link-local (cloud metadata), carrier-grade NAT,
+// multicast and reserved addresses
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  const lower = address.toLowerCase();
+  // IPv4-mapped addresses, dotted or in the hex form URL normalizes them to
+  if (lower.startsWith('::ffff:') && net.isIPv4(lower.slice(7))) {
+    return isPrivateAddress(lower.slice(7));
+  }
+  const mapped = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const [high, low] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+    return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  return lower === '::' || lower === '::1' ||
+    /^f[cd]/.test(lower) ||   // unique local
+    /^fe[89ab]/.test(lower) || // link-local
+    lower.startsWith('ff');    // multicast
+}
+
+// Runs in every frame before the page's scripts. Request interception never sees
+// WebSocket or WebRTC traffic, so pages can't open those connections at all.
+// Must stay self-contained: Puppeteer serializes it.
+function blockSocketApis() {
+  for (const name of ['WebSocket', 'WebTransport', 'RTCPeerConnection', 'webkitRTCPeerConnection']) {
+    // Pooled pages can get here twice for the same document
+    if (!(name in window) || window[name].__chatoolyBlocked) continue;
+
+    const blocked = function() {
+      throw new DOMException(`${name} is not available while rendering`, 'SecurityError');
+    };
+    blocked.__chatoolyBlocked = true;
+    Object.defineProperty(window, name, { value: blocked, writable: false, configurable: false });
+  }
+}
+
+// Intercepts every request a render page makes. Only http(s) requests to allow-listed
+// domains that resolve to public addresses get through, within per-job limits on
+// request count and downloaded bytes. Blocked requests are reported on the job.
+// Uploaded assets are answered from disk without touching the network.
+class NetworkPolicy {
+  constructor(options = config.network) {
+    this.options = options;
+  }
+
+  // Per-job state shared by all of the job's pages. `allowedHosts` are let through
+  // on top of the allow-list, e.g. the host of a tool rendered by URL.
+  createSession({ allowedHosts = [] } = {}) {
+    return {
+      allowedHosts,
+      lookups: new Map(), // hostname -> Promise of a block reason or null
+      report: {
+        requests: 0,
+        bytes: 0,
+        blockedCount: 0,
+        blocked: [] // first `maxReportedBlocks` of { url, reason, at }
+      }
+    };
+  }
+
+  isAllowedDomain(hostname) {
+    return this.options.allowedDomains.some(domain =>
+      domain === '*' || hostname === domain || hostname.endsWith(`.${domain}`)
+    );
+  }
+
+  // Reason to block `url`, or null to let it through
+  async check(url, session) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'invalid URL';
+    }
+
+    if (LOCAL_SCHEMES.includes(parsed.protocol)) return null;
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return `${parsed.protocol} URLs are not allowed`;
+    }
+
+    const hostname = this.hostname(parsed);
+    if (!this.isAllowedDomain(hostname) && !session.allowedHosts.includes(hostname)) {
+      return `${hostname} is not an allowed domain`;
+    }
+    if (!this.options.blockPrivateAddresses) return null;
+
+    if (!session.lookups.has(hostname)) {
+      session.lookups.set(hostname, this.checkAddress(hostname));
+    }
+    return session.lookups.get(hostname);
+  }
+
+  // Hostname of a URL, without the brackets around IPv6 literals
+  hostname(url) {
+    return new URL(url).hostname.replace(/^\[|\]$/g, '');
+  }
+
+  async checkAddress(hostname) {
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await dns.lookup(hostname, { all: true })).map(entry => entry.address);
+      } catch (error) {
+        return `${hostname} could not be resolved`;
+      }
+    }
+
+    const blocked = addresses.find(isPrivateAddress);
+    return blocked ? `${hostname} resolves to private address ${blocked}` : null;
+  }
+
+  // Turn on interception for a page. `onBlocked` is called after each blocked request.
+  async attach(page, session, { onBlocked = () => {} } = {}) {
+    const { report } = session;
+
+    const block = (request, reason) => {
+      report.blockedCount++;
+      if (report.blocked.length < this.options.maxReportedBlocks) {
+        report.blocked.push({ url: request.url().slice(0, 500), reason, at: new Date() });
+      }
+      request.abort('blockedbyclient').catch(() => {});
+      onBlocked(report);
+    };
+
+    // New documents (navigations) get the block before their own scripts, and so
+    // does the current about:blank document that setContent writes into
+    await page.evaluateOnNewDocument(blockSocketApis);
+    await page.evaluate(blockSocketApis);
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+      const url = request.url();
+      if (url.startsWith(`${assetStore.origin}/`)) {
+        return this.serveAsset(request);
+      }
+
+      const reason = await this.check(url, session);
+      if (reason) return block(request, reason);
+
+      // Limits count across all of the job's pages, however many capture in parallel
+      if (!LOCAL_SCHEMES.some(scheme => url.startsWith(scheme))) {
+        report.requests++;
+        if (report.requests > this.options.maxRequests) {
+          return block(request, `request limit of ${this.options.maxRequests} reached`);
+        }
+        if (report.bytes > this.options.maxBytes) {
+          return block(request, `download limit of ${Math.round(this.options.maxBytes / 1024 / 1024)}MB reached`);
+        }
+      }
+
+      request.continue().catch(() => {});
+    });
+
+    // Bytes actually received, including responses without a Content-Length
+    const cdp = await page.createCDPSession();
+    await cdp.send('Network.enable');
+    cdp.on('Network.loadingFinished', ({ encodedDataLength }) => {
+      report.bytes += encodedDataLength;
+    });
+  }
+
+  // Answer a request for an uploaded asset (asset://<id> in the submitted HTML) from disk
+  async serveAsset(request) {
+    const id = assetStore.parseUrl(request.url());
+    const asset = id && await assetStore.get(id);
+
+    try {
+      if (!asset) {
+        await request.respond({ status: 404, contentType: 'text/plain', body: 'Asset not found' });
+        return;
+      }
+
+      await request.respond({
+        status: 200,
+        contentType: asset.contentType,
+        // Lets WebGL and canvas use images and videos as textures without tainting
+        headers: { 'Access-Control-Allow-Origin': '*' },
+        body: await fs.readFile(asset.path)
+      });
+    } catch (error) {
+      request.abort('failed').catch(() => {});
+    }
+  }
+}
+
+module.exports = new NetworkPolicy();
+module.exports.isPrivateAddress = isPrivateAddress;
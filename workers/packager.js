@@ -3,67 +3,142 @@ const fs = require('fs');
 const path = require('path');
 const videoEncoder = require('./video-encoder');
 
+// Frames laid out on sheets: full-size sprites with atlases, or labeled thumbnails
+const SHEET_FORMATS = ['spritesheet', 'contactsheet'];
+
+const SHEET_DEFAULTS = {
+  spritesheet: { padding: 2, maxTextureSize: 4096 },
+  contactsheet: { columns: 6, padding: 8, maxTextureSize: 4096, thumbnailWidth: 320 }
+};
+
 class Packager {
-  async createZip(jobId, framesDir) {
-    return new Promise((resolve, reject) => {
-      const outputPath = path.join(
-        path.dirname(framesDir),
-        'output.zip'
-      );
-      
-      const output = fs.createWriteStream(outputPath);
-      const archive = archiver('zip', {
-        zlib: { level: 9 } // Maximum compression
-      });
-      
-      output.on('close', () => {
-        console.log(`ZIP created for job ${jobId}: ${archive.pointer()} bytes`);
-        resolve(outputPath);
-      });
-      
-      output.on('error', (err) => {
-        console.error(`ZIP creation error for job ${jobId}:`, err);
-        reject(err);
-      });
-      
-      archive.on('error', (err) => {
-        console.error(`Archive error for job ${jobId}:`, err);
-        reject(err);
-      });
-      
-      archive.on('warning', (err) => {
-        if (err.code === 'ENOENT') {
-          console.warn(`Archive warning for job ${jobId}:`, err);
-        } else {
-          reject(err);
-        }
-      });
-      
-      // Pipe archive data to the file
-      archive.pipe(output);
-      
-      // Add all PNG files from frames directory
-      archive.glob('*.png', {
-        cwd: framesDir,
-        prefix: 'frames/'
-      });
+  // Zip the captured frames with a manifest. Options pick the frames (`range`
+  // { start, end }, inclusive, and `step`), their file names (`template` with {tool},
+  // {frame} and {index}, e.g. "{tool}_{frame:05}", where {frame} counts from
+  // `startFrame`) and their format (`imageFormat` png, jpeg or webp at `quality`).
+  // Only the selected frames of the `totalFrames` need to be on disk.
+  async createZip(jobId, framesDir, options = {}) {
+    const {
+      totalFrames,
+      template = 'frame_{frame:04}',
+      startFrame = 0,
+      range = null,
+      step = 1,
+      imageFormat = 'png',
+      quality = 90,
+      toolName = 'unknown',
+      fps = 30,
+      frameTime = (frame) => frame / fps, // animation time of a frame
+      render = {},                        // render parameters for the manifest
+      signal,
+      onProgress
+    } = options;
+    
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    
+    const frames = this.selectZipFrames({ range, step }, totalFrames);
+    if (frames.length === 0) {
+      const requested = range ? `${range.start}-${range.end}` : `0-${totalFrames - 1}`;
+      const error = new Error(`Frame range ${requested} is outside the ${totalFrames} captured frames`);
+      error.retryable = false;
+      throw error;
+    }
+    const first = frames[0];
+    const last = frames[frames.length - 1];
+    
+    // PNGs are zipped as captured; other formats are converted first
+    let sources = frames.map(frame => path.join(framesDir, `frame_${String(frame).padStart(4, '0')}.png`));
+    if (imageFormat !== 'png') {
+      await videoEncoder.initialize();
       
-      // Add metadata file
-      const metadata = {
-        jobId: jobId,
-        createdAt: new Date().toISOString(),
-        frameCount: fs.readdirSync(framesDir).length,
-        format: 'PNG Sequence',
-        generator: 'Chatooly Render Service v1.0.0'
-      };
+      // The selected frames may have gaps between them on disk; ffmpeg reads a gapless sequence
+      const selectedDir = path.join(path.dirname(framesDir), 'frames_selected');
+      const convertedDir = path.join(path.dirname(framesDir), `frames_${imageFormat}`);
+      for (const dir of [selectedDir, convertedDir]) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        await fs.promises.mkdir(dir, { recursive: true });
+      }
+      for (const [index, source] of sources.entries()) {
+        await fs.promises.link(source, path.join(selectedDir, `frame_${String(index).padStart(4, '0')}.png`));
+      }
       
-      archive.append(JSON.stringify(metadata, null, 2), {
-        name: 'metadata.json'
+      sources = await videoEncoder.convertFrames(path.join(selectedDir, 'frame_%04d.png'), convertedDir, {
+        count: frames.length,
+        type: imageFormat,
+        quality,
+        signal
       });
-      
-      // Finalize the archive
-      archive.finalize();
+    }
+    
+    const extension = imageFormat === 'jpeg' ? 'jpg' : imageFormat;
+    const tool = toolName.replace(/[^\w.-]+/g, '_');
+    const frameSize = await this.readPngSize(path.join(framesDir, `frame_${String(first).padStart(4, '0')}.png`));
+    
+    const manifestFrames = frames.map((frame, index) => ({
+      file: `frames/${this.formatFrameName(template, { tool, frame: startFrame + frame, index }, extension)}`,
+      frame: frame,
+      number: startFrame + frame,
+      time: frame / fps,
+      animationTime: frameTime(frame)
+    }));
+    
+    // Everything needed to put the sequence back together exactly
+    const metadata = {
+      jobId: jobId,
+      createdAt: new Date().toISOString(),
+      frameCount: frames.length,
+      format: `${imageFormat.toUpperCase()} Sequence`,
+      generator: 'Chatooly Render Service v1.0.0',
+      imageFormat: imageFormat,
+      fps: fps,
+      frameWidth: frameSize.width,
+      frameHeight: frameSize.height,
+      resolution: render.resolution,
+      duration: render.duration,
+      animationSpeed: render.animationSpeed || 1,
+      perfectLoop: Boolean(render.perfectLoop),
+      naturalPeriod: render.naturalPeriod || null,
+      totalFrames: totalFrames,
+      startFrame: startFrame,
+      range: { start: first, end: last },
+      step: step,
+      frames: manifestFrames,
+      render: render
+    };
+    
+    const outputPath = path.join(path.dirname(framesDir), 'output.zip');
+    await this.archive(outputPath, [
+      ...manifestFrames.map((entry, index) => ({ file: sources[index], name: entry.file })),
+      { name: 'metadata.json', content: JSON.stringify(metadata, null, 2) }
+    ], { signal, onProgress });
+    
+    console.log(`ZIP created for job ${jobId}: ${frames.length} ${imageFormat.toUpperCase()} frames`);
+    return outputPath;
+  }
+  
+  // Indexes of the frames a ZIP export keeps out of `totalFrames`: `range` (inclusive,
+  // clipped to the frames there are), then every `step`-th frame of it
+  selectZipFrames({ range = null, step = 1 } = {}, totalFrames) {
+    const first = range ? range.start : 0;
+    const last = Math.min(range ? range.end : totalFrames - 1, totalFrames - 1);
+    const frames = [];
+    for (let frame = first; frame <= last; frame += step) {
+      frames.push(frame);
+    }
+    return frames;
+  }
+  
+  // File name for a zipped frame. {tool}, {frame} and {index} are replaced, numbers
+  // zero-padded to the width after the colon ({frame:05}); the extension is added
+  // unless the template has one.
+  formatFrameName(template, values, extension) {
+    const name = template.replace(/\{(tool|frame|index)(?::(\d+))?\}/g, (match, key, width) => {
+      const value = String(values[key]);
+      return width ? value.padStart(parseInt(width, 10), '0') : value;
     });
+    return /\.[a-z0-9]+$/i.test(name) ? name : `${name}.${extension}`;
   }
 
   async createVideo(jobId, framesDir, options = {}) {
@@ -83,6 +158,228 @@ class Packager {
     }
   }
 
+  // Lay the frames out on sheets and zip them with a TexturePacker JSON per sheet and
+  // a Phaser 3 multiatlas. Sheets hold `columns` frames per row (default: a square grid)
+  // and never exceed `maxTextureSize`; frames that do not fit go on further sheets.
+  // A contact sheet uses thumbnails with the frame number and timestamp burned in.
+  async createSheets(jobId, framesDir, options = {}) {
+    const {
+      format = 'spritesheet',
+      fps = 30,
+      name = 'animation',
+      signal,
+      onProgress
+    } = options;
+    const {
+      columns = null,
+      padding,
+      maxTextureSize,
+      thumbnailWidth = null
+    } = { ...SHEET_DEFAULTS[format], ...options.sheet };
+    
+    await videoEncoder.initialize();
+    
+    const files = (await fs.promises.readdir(framesDir))
+      .filter(file => /^frame_\d+\.png$/.test(file))
+      .sort();
+    const frameSize = await this.readPngSize(path.join(framesDir, files[0]));
+    const cell = thumbnailWidth ? {
+      width: thumbnailWidth,
+      height: Math.max(1, Math.round(frameSize.height * thumbnailWidth / frameSize.width))
+    } : frameSize;
+    const sheets = this.layoutSheets(files.length, cell, { columns, padding, maxTextureSize });
+    
+    const outputDir = path.dirname(framesDir);
+    const inputPattern = path.join(framesDir, 'frame_%04d.png');
+    for (const [index, sheet] of sheets.entries()) {
+      if (signal && signal.aborted) throw signal.reason;
+      
+      sheet.image = `${format}-${index}.png`;
+      await videoEncoder.createTile(inputPattern, path.join(outputDir, sheet.image), {
+        start: sheet.start,
+        columns: sheet.columns,
+        rows: sheet.rows,
+        fps,
+        padding,
+        thumbnail: thumbnailWidth ? cell : null,
+        label: format === 'contactsheet',
+        signal
+      });
+      
+      if (onProgress) {
+        onProgress(Math.round(((index + 1) / (sheets.length + 1)) * 100));
+      }
+    }
+    
+    const atlases = this.createAtlases(sheets, { format, fps, name, cell, padding });
+    const outputPath = path.join(outputDir, `${format}.zip`);
+    await this.archive(outputPath, [
+      ...sheets.map(sheet => ({ file: path.join(outputDir, sheet.image), name: sheet.image })),
+      ...atlases
+    ], { signal });
+    
+    console.log(`${sheets.length} ${format} sheet(s) created for job ${jobId}`);
+    if (onProgress) onProgress(100);
+    return outputPath;
+  }
+  
+  // Split `count` frames of `cell` size into sheets no larger than `maxTextureSize`
+  layoutSheets(count, cell, { columns, padding, maxTextureSize }) {
+    const fit = (size) => Math.floor((maxTextureSize + padding) / (size + padding));
+    const maxColumns = fit(cell.width);
+    const maxRows = fit(cell.height);
+    if (maxColumns < 1 || maxRows < 1) {
+      const error = new Error(`Frames of ${cell.width}x${cell.height} do not fit in a ${maxTextureSize}px texture`);
+      error.retryable = false;
+      throw error;
+    }
+    
+    const sheetColumns = Math.min(columns || Math.ceil(Math.sqrt(count)), maxColumns, count);
+    const perSheet = sheetColumns * Math.min(maxRows, Math.ceil(count / sheetColumns));
+    const sheets = [];
+    for (let start = 0; start < count; start += perSheet) {
+      const frames = Math.min(perSheet, count - start);
+      const rows = Math.ceil(frames / sheetColumns);
+      sheets.push({
+        start,
+        frames,
+        columns: sheetColumns,
+        rows,
+        width: sheetColumns * cell.width + (sheetColumns - 1) * padding,
+        height: rows * cell.height + (rows - 1) * padding
+      });
+    }
+    return sheets;
+  }
+  
+  // TexturePacker JSON (hash) per sheet, linked as multi-packs, plus a Phaser 3 multiatlas.
+  // Frames are named frame_0000, frame_0001... and carry their duration in ms.
+  createAtlases(sheets, { format, fps, name, cell, padding }) {
+    const meta = {
+      app: 'Chatooly Render Service',
+      version: '1.0',
+      format: 'RGBA8888',
+      scale: '1',
+      frameRate: fps
+    };
+    const duration = Math.round(1000 / fps);
+    
+    const sheetFrames = sheets.map(sheet => Array.from({ length: sheet.frames }, (value, offset) => {
+      const frame = sheet.start + offset;
+      return {
+        filename: `frame_${String(frame).padStart(4, '0')}`,
+        frame: {
+          x: (offset % sheet.columns) * (cell.width + padding),
+          y: Math.floor(offset / sheet.columns) * (cell.height + padding),
+          w: cell.width,
+          h: cell.height
+        },
+        rotated: false,
+        trimmed: false,
+        spriteSourceSize: { x: 0, y: 0, w: cell.width, h: cell.height },
+        sourceSize: { w: cell.width, h: cell.height },
+        duration
+      };
+    }));
+    
+    const texturePacker = sheets.map((sheet, index) => {
+      const frames = {};
+      for (const { filename, ...frame } of sheetFrames[index]) {
+        frames[filename] = frame;
+      }
+      return {
+        name: `${format}-${index}.json`,
+        content: {
+          frames,
+          animations: { [name]: sheetFrames[index].map(frame => frame.filename) },
+          meta: {
+            ...meta,
+            image: sheet.image,
+            size: { w: sheet.width, h: sheet.height },
+            related_multi_packs: sheets
+              .map((other, otherIndex) => `${format}-${otherIndex}.json`)
+              .filter((file, otherIndex) => otherIndex !== index)
+          }
+        }
+      };
+    });
+    
+    const phaser = {
+      name: `${format}.multiatlas.json`,
+      content: {
+        textures: sheets.map((sheet, index) => ({
+          image: sheet.image,
+          format: meta.format,
+          size: { w: sheet.width, h: sheet.height },
+          scale: 1,
+          frames: sheetFrames[index]
+        })),
+        meta
+      }
+    };
+    
+    return [...texturePacker, phaser].map(({ name, content }) => ({
+      name,
+      content: JSON.stringify(content, null, 2)
+    }));
+  }
+  
+  // Width and height from a PNG's IHDR chunk
+  async readPngSize(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+      const { buffer } = await handle.read(Buffer.alloc(24), 0, 24, 0);
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    } finally {
+      await handle.close();
+    }
+  }
+  
+  // Zip files ({ file, name }) and strings ({ content, name }) into `outputPath`
+  archive(outputPath, entries, { signal, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(signal.reason);
+      }
+      
+      const output = fs.createWriteStream(outputPath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      
+      output.on('close', () => resolve(outputPath));
+      output.on('error', reject);
+      archive.on('error', reject);
+      
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          archive.abort();
+          reject(signal.reason);
+        }, { once: true });
+      }
+      
+      if (onProgress) {
+        archive.on('progress', ({ entries: progress }) => {
+          onProgress(Math.min(100, Math.round((progress.processed / entries.length) * 100)));
+        });
+      }
+      
+      archive.pipe(output);
+      for (const entry of entries) {
+        if (entry.file) {
+          archive.file(entry.file, { name: entry.name });
+        } else {
+          archive.append(entry.content, { name: entry.name });
+        }
+      }
+      archive.finalize();
+    });
+  }
+
+  // Start a video encoder that takes frames as PNG buffers instead of reading them from disk
+  async createVideoStream(jobId, outputDir, options = {}) {
+    await videoEncoder.initialize();
+    return videoEncoder.createVideoStream(jobId, outputDir, options);
+  }
+
   // Get available export formats
   getAvailableFormats() {
     const formats = ['zip']; // ZIP is always available
@@ -90,7 +387,7 @@ class Packager {
     try {
       // Check if video encoder is available
       const videoFormats = videoEncoder.getSupportedFormats();
-      formats.push(...videoFormats);
+      formats.push(...videoFormats, ...SHEET_FORMATS); // sheets are tiled by ffmpeg too
     } catch (error) {
       console.log('Video export not available:', error.message);
     }
@@ -98,6 +395,24 @@ class Packager {
     return formats;
   }
 
+  getSheetFormats() {
+    return SHEET_FORMATS;
+  }
+  
+  // Formats ffmpeg encodes from the frames in order, so frames can be piped in
+  isVideoFormat(format) {
+    return videoEncoder.getSupportedFormats().includes(format);
+  }
+
+  // Get formats that support audio muxing
+  getAudioFormats() {
+    try {
+      return videoEncoder.getAudioFormats();
+    } catch (error) {
+      return [];
+    }
+  }
+
   // Get format information
   getFormatInfo() {
     const info = {
@@ -107,6 +422,20 @@ class Packager {
         pros: ['Frame-by-frame control', 'Universal compatibility', 'No quality loss'],
         cons: ['Large file sizes', 'Requires assembly for playback'],
         bestFor: 'Professional editing, frame analysis, maximum flexibility'
+      },
+      spritesheet: {
+        name: 'Sprite Sheet',
+        description: 'Frames laid out on one or more PNG sheets with TexturePacker and Phaser atlases',
+        pros: ['One texture to load', 'Works with Phaser, PixiJS and other game engines', 'Frame timing included'],
+        cons: ['Texture size limits long or large animations', 'No compression between frames'],
+        bestFor: 'Games, web animations driven by code'
+      },
+      contactsheet: {
+        name: 'Contact Sheet',
+        description: 'Thumbnails of every frame with frame numbers and timestamps',
+        pros: ['See the whole animation at a glance', 'Easy to reference frames in reviews'],
+        cons: ['Not meant for playback'],
+        bestFor: 'Reviews and feedback'
       }
     };
     
@@ -3,220 +3,851 @@ const fs = require('fs').promises;
 const config = require('../config');
 const jobQueue = require('../lib/jobQueue');
 const packager = require('./packager');
+const virtualTime = require('./virtual-time');
+const browserPool = require('./browser-pool');
+const networkPolicy = require('./network-policy');
+const assetStore = require('../lib/assetStore');
+const Semaphore = require('../lib/semaphore');
+const { v4: uuidv4 } = require('uuid');
 
-class Renderer {
-  constructor() {
-    this.browser = null;
-    this.puppeteer = null;
-    this.chromium = null;
-  }
-  
-  async initializePuppeteer() {
-    if (!this.puppeteer) {
-      // Try to use regular puppeteer for local development
-      try {
-        this.puppeteer = require('puppeteer');
-        console.log('Using regular Puppeteer for local development');
-      } catch (e) {
-        // Fall back to puppeteer-core for production
-        this.puppeteer = require('puppeteer-core');
-        this.chromium = require('@sparticuz/chromium');
-        console.log('Using puppeteer-core with @sparticuz/chromium for production');
-      }
-    }
-    return this.puppeteer;
+// Still image formats and what they are served as
+const STILL_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  svg: 'image/svg+xml'
+};
+
+// Runs inside the page before the tool's scripts, so the tool can restore the
+// state it was exported with. Must stay self-contained: Puppeteer serializes it.
+function injectState(state) {
+  window.__CHATOOLY_STATE__ = state;
+  try {
+    localStorage.setItem('__CHATOOLY_STATE__', JSON.stringify(state));
+  } catch (e) {
+    // about:blank (HTML mode) has no storage; the global is still set
   }
-  
-  async getBrowser() {
-    if (!this.browser || !this.browser.isConnected()) {
-      const puppeteer = await this.initializePuppeteer();
-      
-      let launchOptions = { ...config.puppeteer };
-      
-      // If using puppeteer-core (production), set executable path
-      if (this.chromium) {
-        const executablePath = await this.chromium.executablePath();
-        launchOptions.executablePath = executablePath;
-        launchOptions.args = this.chromium.args.concat(config.puppeteer.args || []);
-      }
-      // For local development with regular puppeteer, it will find Chrome automatically
-      
-      this.browser = await puppeteer.launch(launchOptions);
+}
+
+// Canvas capture reads pixels back with toDataURL, which only works for WebGL
+// contexts that keep their drawing buffer after compositing
+function preserveDrawingBuffers() {
+  const getContext = HTMLCanvasElement.prototype.getContext;
+  HTMLCanvasElement.prototype.getContext = function(type, attributes) {
+    if (/^(webgl2?|experimental-webgl)$/.test(type)) {
+      attributes = Object.assign({}, attributes, { preserveDrawingBuffer: true });
     }
-    return this.browser;
+    return getContext.call(this, type, attributes);
+  };
+}
+
+class Renderer {
+  constructor() {
+    this.pageBudget = new Semaphore(config.rendering.maxPages); // pages open across all jobs
   }
   
-  async render(job) {
+  async render(job, { signal } = {}) {
     const jobDir = path.join(__dirname, '..', config.storage.tempDir, job.id);
     const framesDir = path.join(jobDir, 'frames');
+    const formats = job.data.exportFormats || [job.data.exportFormat];
+    const streamFrames = this.shouldStreamFrames(job, formats);
+    let encoders = [];
+    let pageCount = 0;
+    const network = this.createNetworkSession(job.data);
+    
+    if (job.data.kind === 'still') {
+      return this.renderStillJob(job, { network, signal });
+    }
     
     try {
+      this.throwIfAborted(signal);
+      
       // Create directories
       await fs.mkdir(jobDir, { recursive: true });
-      await fs.mkdir(framesDir, { recursive: true });
+      if (!streamFrames) {
+        await fs.mkdir(framesDir, { recursive: true });
+      }
       
-      // Get browser instance
-      const browser = await this.getBrowser();
-      const page = await browser.newPage();
+      jobQueue.updateJob(job.id, { phase: 'loading', phaseProgress: 0 });
       
-      // Set viewport with resolution multiplier using deviceScaleFactor
-      await page.setViewport({
-        width: job.data.width,
-        height: job.data.height,
-        deviceScaleFactor: job.data.resolution
-      });
+      let totalFrames = job.totalFrames;
       
-      // Create HTML with animation
-      const fullHtml = this.createFullHtml(job.data);
-      await page.setContent(fullHtml, { waitUntil: 'networkidle0' });
+      // For perfect loops, capture one less frame since last frame = first frame
+      if (job.data.perfectLoop) {
+        totalFrames = totalFrames - 1;
+        console.log(`Starting capture of ${totalFrames} frames for job ${job.id} (perfect loop: last frame will be first frame)`);
+      } else {
+        console.log(`Starting capture of ${totalFrames} frames for job ${job.id}`);
+      }
       
-      // Wait for any initial setup
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Inject animation controller
-      await page.evaluate((animationCode) => {
-        // Create global animation controller
-        window.animationController = {
-          currentTime: 0,
-          duration: 0,
-          fps: 30
-        };
-        
-        // Override requestAnimationFrame to control timing
-        window.originalRAF = window.requestAnimationFrame;
-        window.rafCallbacks = [];
-        window.requestAnimationFrame = (callback) => {
-          window.rafCallbacks.push(callback);
-          return window.rafCallbacks.length - 1;
-        };
-        
-        // Execute user's animation code
-        if (animationCode) {
-          try {
-            eval(animationCode);
-          } catch (e) {
-            console.error('Animation code error:', e);
+      // Frames left on disk by an earlier attempt are not captured again
+      const skipped = this.findSkippedFrames(job.data, formats, totalFrames);
+      const done = streamFrames ? new Set() : await this.findCapturedFrames(framesDir, totalFrames, skipped);
+      if (done.size > 0) {
+        console.log(`Resuming job ${job.id} with ${done.size}/${totalFrames} frames already captured`);
+      }
+      
+      // Frames no export needs count as done, so progress still runs up to totalFrames
+      if (skipped.size > 0) {
+        console.log(`Capturing ${totalFrames - skipped.size}/${totalFrames} frames selected for the ZIP of job ${job.id}`);
+        skipped.forEach(frame => done.add(frame));
+      }
+      
+      const audio = await this.prepareAudio(job, jobDir);
+      
+      // The area every frame is captured from; measured by the first page that loads
+      const capture = { region: null };
+      let capturing = true;
+      
+      // Take as many pages as the job asked for and the global budget allows (at least one)
+      pageCount = await this.pageBudget.acquire(job.data.parallelism || 1, signal);
+      if (pageCount > 1) {
+        console.log(`Capturing job ${job.id} on ${pageCount} pages in parallel`);
+      }
+      
+      let captured = done.size;
+      await this.captureFrames(job, {
+        totalFrames,
+        pageCount,
+        done,
+        network,
+        signal,
+        capture,
+        onReady: async () => {
+          // Video-only jobs feed frames straight into ffmpeg, one encoder per format.
+          // They start once the capture size is known.
+          if (streamFrames && encoders.length === 0) {
+            console.log(`Streaming frames for job ${job.id} into ${formats.join(', ')} encoders`);
+            encoders = await Promise.all(formats.map((format, index) => packager.createVideoStream(job.id, jobDir, {
+              ...this.getVideoOptions(job, format, totalFrames, capture.region),
+              audio,
+              signal,
+              // Encoding runs alongside capture; only report it once capture is done
+              onProgress: (percent) => {
+                if (!capturing) {
+                  jobQueue.updateJob(job.id, {
+                    phaseProgress: Math.round(((index + percent / 100) / formats.length) * 100)
+                  });
+                }
+              }
+            })));
+          }
+          
+          if (job.phase === 'loading') {
+            jobQueue.updateJob(job.id, { phase: 'capturing', currentFrame: captured });
+          }
+        },
+        onFrame: async (frame, buffer) => {
+          if (streamFrames) {
+            await Promise.all(encoders.map(encoder => encoder.write(buffer)));
+          } else {
+            await fs.writeFile(path.join(framesDir, `frame_${String(frame).padStart(4, '0')}.png`), buffer);
+          }
+          
+          // Update progress, counted across all pages
+          captured++;
+          jobQueue.updateJob(job.id, {
+            currentFrame: captured
+          });
+          
+          // Log progress every 10 frames
+          if (captured % 10 === 0) {
+            console.log(`Job ${job.id}: Captured frame ${captured}/${totalFrames}`);
           }
         }
+      });
+      
+      this.pageBudget.release(pageCount);
+      pageCount = 0;
+      capturing = false;
+      this.throwIfAborted(signal);
+      
+      const outputs = {};
+      
+      if (streamFrames) {
+        jobQueue.updateJob(job.id, { phase: 'encoding', phaseProgress: 0 });
+        const results = await Promise.all(encoders.map(encoder => encoder.end()));
+        encoders = [];
         
-        // Function to set animation time
-        window.setAnimationTime = (time) => {
-          window.animationController.currentTime = time;
+        for (const [index, format] of formats.entries()) {
+          outputs[format] = await this.describeOutput(results[index].path);
+        }
+      } else {
+        // Frames are captured once, then packaged into every requested format
+        for (const [index, format] of formats.entries()) {
+          this.throwIfAborted(signal);
+          console.log(`Packaging frames for job ${job.id} (format: ${format}, ${index + 1}/${formats.length})`);
           
-          // Trigger all RAF callbacks
-          const callbacks = [...window.rafCallbacks];
-          window.rafCallbacks = [];
-          callbacks.forEach(cb => {
-            try {
-              cb(time * 1000); // Convert to milliseconds
-            } catch (e) {
-              console.error('RAF callback error:', e);
-            }
+          // Spread phase progress evenly across the formats
+          const onProgress = (percent) => jobQueue.updateJob(job.id, {
+            phaseProgress: Math.round(((index + percent / 100) / formats.length) * 100)
           });
           
-          // Trigger custom animation update if defined
-          if (window.updateAnimation) {
-            window.updateAnimation(time);
+          jobQueue.updateJob(job.id, {
+            phase: packager.isVideoFormat(format) ? 'encoding' : 'packaging',
+            phaseProgress: Math.round((index / formats.length) * 100)
+          });
+          
+          let outputPath;
+          if (format === 'zip') {
+            outputPath = await packager.createZip(job.id, framesDir, {
+              ...job.data.zip,
+              totalFrames,
+              toolName: job.data.toolName,
+              fps: job.data.fps,
+              frameTime: (frame) => this.getFrameTime(job.data, frame),
+              render: this.describeRender(job.data),
+              signal,
+              onProgress
+            });
+          } else if (packager.getSheetFormats().includes(format)) {
+            outputPath = await packager.createSheets(job.id, framesDir, {
+              format,
+              fps: job.data.fps,
+              name: job.data.toolName,
+              sheet: job.data.sheet,
+              signal,
+              onProgress
+            });
+          } else {
+            // Video or animated image format
+            outputPath = await packager.createVideo(job.id, framesDir, {
+              ...this.getVideoOptions(job, format, totalFrames, capture.region),
+              audio,
+              signal,
+              onProgress
+            });
           }
-        };
-      }, job.data.animationCode || '');
+          
+          outputs[format] = await this.describeOutput(outputPath);
+        }
+      }
       
-      // Capture frames
-      let totalFrames = job.totalFrames;
+      // Update job with completion info; the first format is the default download
+      const primary = outputs[formats[0]];
+      jobQueue.updateJob(job.id, {
+        fileSize: primary.fileSize,
+        exportFormat: formats[0],
+        outputPath: primary.path,
+        outputs: outputs
+      });
       
-      // For perfect loops, capture one less frame since last frame = first frame
-      if (job.data.perfectLoop) {
-        totalFrames = totalFrames - 1;
-        console.log(`Starting capture of ${totalFrames} frames for job ${job.id} (perfect loop: last frame will be first frame)`);
+      console.log(`Job ${job.id} completed successfully (${formats.map(format => `${format}: ${outputs[format].fileSize}`).join(', ')})`);
+      
+    } catch (error) {
+      if (signal && signal.aborted) {
+        console.log(`Render aborted for job ${job.id}: ${signal.reason.message}`);
       } else {
-        console.log(`Starting capture of ${totalFrames} frames for job ${job.id}`);
+        console.error(`Render error for job ${job.id}:`, error);
       }
       
-      for (let frame = 0; frame < totalFrames; frame++) {
-        // Update animation time
-        let currentTime = frame / job.data.fps;
-        
-        // Apply perfect loop logic - map time to animation's natural period
-        if (job.data.perfectLoop) {
-          const naturalPeriod = job.data.naturalPeriod || job.data.duration;
-          currentTime = (currentTime * (job.data.animationSpeed || 1)) % naturalPeriod;
-        } else {
-          currentTime = currentTime * (job.data.animationSpeed || 1);
-        }
-        
-        await page.evaluate((time) => {
-          if (window.setAnimationTime) {
-            window.setAnimationTime(time);
-          }
-        }, currentTime);
-        
-        // Small delay to ensure rendering is complete
-        await new Promise(resolve => setTimeout(resolve, 50));
-        
-        // Capture frame
-        const framePath = path.join(framesDir, `frame_${String(frame).padStart(4, '0')}.png`);
-        await page.screenshot({
-          path: framePath,
-          type: 'png',
-          omitBackground: job.data.transparent
-        });
-        
-        // Update progress
-        jobQueue.updateJob(job.id, {
-          currentFrame: frame + 1
-        });
-        
-        // Log progress every 10 frames
-        if ((frame + 1) % 10 === 0) {
-          console.log(`Job ${job.id}: Captured frame ${frame + 1}/${totalFrames}`);
+      // Stop encoders that are still waiting for frames
+      encoders.forEach(encoder => encoder.abort());
+      
+      // Cancelled jobs are cleaned up right away; failed ones keep their frames
+      // so a retry can resume, until the temp cleanup removes them
+      if (signal && signal.aborted && !signal.reason.timeout) {
+        try {
+          await fs.rm(jobDir, { recursive: true, force: true });
+        } catch (cleanupError) {
+          console.error('Cleanup error:', cleanupError);
         }
       }
       
-      await page.close();
+      throw error;
+    } finally {
+      if (pageCount > 0) {
+        this.pageBudget.release(pageCount);
+      }
+      jobQueue.updateJob(job.id, { network: network.report });
+    }
+  }
+  
+  // A tool rendered by URL may always load from its own host
+  createNetworkSession(data) {
+    return networkPolicy.createSession({
+      allowedHosts: data.url ? [networkPolicy.hostname(data.url)] : []
+    });
+  }
+  
+  getStillFormats() {
+    return Object.keys(STILL_TYPES);
+  }
+  
+  // One frame of the tool at `data.time` seconds in `data.format`. Resolves with
+  // { buffer, contentType }. Small stills are rendered straight from the request.
+  async renderStill(data, { id = `still-${uuidv4()}`, epoch = Date.now(), network = this.createNetworkSession(data), signal, onReady = () => {} } = {}) {
+    this.throwIfAborted(signal);
+    const pageCount = await this.pageBudget.acquire(1, signal);
+    let lease = null;
+    const onAbort = () => {
+      if (lease) lease.destroy();
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    try {
+      lease = await browserPool.acquirePage(id);
+      this.throwIfAborted(signal);
       
-      console.log(`Packaging frames for job ${job.id} (format: ${job.data.exportFormat})`);
+      const region = await this.watchdog(lease, config.jobs.loadTimeout, 'Page load', async () => {
+        await this.preparePage(lease.page, data, { epoch, network });
+        return this.measureCapture(lease.page, data);
+      });
+      onReady();
       
-      let outputPath;
-      let fileSize;
+      const frameTimeout = data.frameTimeout ? data.frameTimeout * 1000 : config.jobs.frameTimeout;
+      const buffer = await this.watchdog(lease, frameTimeout, 'Still', async () => {
+        await this.seek(lease.page, data.time || 0);
+        return this.captureStill(lease.page, data, region);
+      });
       
-      // Create output based on export format
-      if (job.data.exportFormat === 'zip') {
-        outputPath = await packager.createZip(job.id, framesDir);
-      } else {
-        // Video format (mov or webm)
-        outputPath = await packager.createVideo(job.id, framesDir, {
-          format: job.data.exportFormat,
-          fps: job.data.fps,
-          width: job.data.width,
-          height: job.data.height,
-          quality: job.data.videoQuality || 'high'
-        });
+      return { buffer, contentType: STILL_TYPES[data.format] };
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
       }
+      if (lease) {
+        await lease.release();
+      }
+      this.pageBudget.release(pageCount);
+    }
+  }
+  
+  // Stills too large to render while the client waits run as a queued job
+  async renderStillJob(job, { network, signal }) {
+    const jobDir = path.join(__dirname, '..', config.storage.tempDir, job.id);
+    const format = job.data.format;
+    
+    try {
+      await fs.mkdir(jobDir, { recursive: true });
+      jobQueue.updateJob(job.id, { phase: 'loading', phaseProgress: 0 });
+      
+      const still = await this.renderStill(job.data, {
+        id: job.id,
+        epoch: new Date(job.createdAt).getTime(),
+        network,
+        signal,
+        onReady: () => jobQueue.updateJob(job.id, { phase: 'capturing', currentFrame: 0 })
+      });
       
-      // Get file size
-      const stats = await fs.stat(outputPath);
-      fileSize = `${Math.round(stats.size / 1024 / 1024)}MB`;
+      const outputPath = path.join(jobDir, `still.${format}`);
+      await fs.writeFile(outputPath, still.buffer);
+      const output = await this.describeOutput(outputPath);
       
-      // Update job with completion info
       jobQueue.updateJob(job.id, {
-        fileSize: fileSize,
-        exportFormat: job.data.exportFormat
+        currentFrame: 1,
+        fileSize: output.fileSize,
+        exportFormat: format,
+        outputPath: output.path,
+        outputs: { [format]: output }
       });
       
-      console.log(`Job ${job.id} completed successfully (${fileSize})`);
+      console.log(`Still job ${job.id} completed (${format}: ${output.fileSize})`);
+    } catch (error) {
+      if (signal && signal.aborted && !signal.reason.timeout) {
+        await fs.rm(jobDir, { recursive: true, force: true }).catch(() => {});
+      }
+      throw error;
+    } finally {
+      jobQueue.updateJob(job.id, { network: network.report });
+    }
+  }
+  
+  // Capture frames [0, totalFrames) on `pageCount` pages, each loading the tool and
+  // seeking straight to its own contiguous slice. Frames of one slice arrive in order;
+  // with a single page that is every frame. Frames in `done` are skipped.
+  async captureFrames(job, { totalFrames, pageCount, done = new Set(), network, capture, signal, onReady, onFrame }) {
+    this.throwIfAborted(signal);
+    
+    // One failing page stops the others
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+    
+    const sliceSize = Math.ceil(totalFrames / pageCount);
+    const slices = [];
+    for (let start = 0; start < totalFrames; start += sliceSize) {
+      const end = Math.min(totalFrames, start + sliceSize);
+      for (let frame = start; frame < end; frame++) {
+        if (!done.has(frame)) {
+          slices.push([start, end]);
+          break;
+        }
+      }
+    }
+    
+    try {
+      const results = await Promise.allSettled(slices.map(async ([start, end]) => {
+        try {
+          await this.captureSlice(job, { start, end, done, network, capture, signal: controller.signal, onReady, onFrame });
+        } catch (error) {
+          if (!controller.signal.aborted) {
+            controller.abort(error);
+          }
+          throw error;
+        }
+      }));
+      
+      const failed = results.find(result => result.status === 'rejected');
+      if (failed) {
+        throw controller.signal.aborted ? controller.signal.reason : failed.reason;
+      }
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+  }
+  
+  // Capture frames [start, end) on a pooled page. If the browser crashes, the
+  // remaining frames are retried on a fresh one, up to `crashRetries` times.
+  async captureSlice(job, { start, end, done, network, capture, signal, onReady, onFrame }) {
+    const frameTimeout = job.data.frameTimeout ? job.data.frameTimeout * 1000 : config.jobs.frameTimeout;
+    let next = start;
+    
+    for (let attempt = 0; ; attempt++) {
+      this.throwIfAborted(signal);
+      const lease = await browserPool.acquirePage(job.id);
+      const page = lease.page;
+      
+      // Closing the page makes any pending evaluate/screenshot reject immediately
+      const onAbort = () => {
+        lease.destroy();
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
       
+      try {
+        this.throwIfAborted(signal);
+        const region = await this.watchdog(lease, config.jobs.loadTimeout, 'Page load', async () => {
+          await this.preparePage(page, job.data, {
+            epoch: new Date(job.createdAt).getTime(),
+            network,
+            onBlocked: (report) => {
+              // The first blocked requests show up while the job runs, the rest at the end
+              if (report.blockedCount <= config.network.maxReportedBlocks) {
+                jobQueue.updateJob(job.id, { network: report });
+              }
+            }
+          });
+          return this.measureCapture(page, job.data);
+        });
+        // Every page captures the same area, so frames from all pages line up
+        capture.region = capture.region || region;
+        await onReady();
+        
+        for (; next < end; next++) {
+          if (done.has(next)) continue;
+          this.throwIfAborted(signal);
+          
+          const buffer = await this.watchdog(lease, frameTimeout, `Frame ${next}`, async () => {
+            // Update animation time and wait for it to be painted
+            await this.seek(page, this.getFrameTime(job.data, next));
+            
+            // Capture frame
+            return this.captureFrame(page, job.data, capture.region);
+          });
+          
+          await onFrame(next, buffer);
+        }
+        return;
+      } catch (error) {
+        const aborted = signal && signal.aborted;
+        if (!aborted && !error.timeout && lease.crashed() && attempt < config.browserPool.crashRetries) {
+          console.warn(`Browser crashed during job ${job.id}, retrying frames ${next}-${end - 1} on a fresh browser`);
+          continue;
+        }
+        throw error;
+      } finally {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        await lease.release();
+      }
+    }
+  }
+  
+  // Run `task` on a leased page, tearing the page down if it takes longer than `ms`
+  // (a hung network request, a script stuck in a loop)
+  async watchdog(lease, ms, label, task) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${label} timed out after ${ms / 1000}s`);
+        error.timeout = true;
+        reject(error);
+        lease.destroy();
+      }, ms);
+    });
+    
+    try {
+      return await Promise.race([task(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  // Frames a ZIP-only job leaves out of its ZIP (`zip.range` and `zip.step`), which
+  // don't need to be captured at all. Every other format needs every frame.
+  findSkippedFrames(data, formats, totalFrames) {
+    const skipped = new Set();
+    if (formats.some(format => format !== 'zip')) return skipped;
+    
+    const selected = new Set(packager.selectZipFrames(data.zip || {}, totalFrames));
+    for (let frame = 0; frame < totalFrames; frame++) {
+      if (!selected.has(frame)) skipped.add(frame);
+    }
+    return skipped;
+  }
+  
+  // Frames a retry of `job` still has to capture, for quota checks. Frames already on
+  // disk are resumed rather than captured again.
+  async countRemainingFrames(job) {
+    if (job.data.kind === 'still') return 1;
+    
+    const formats = job.data.exportFormats || [job.data.exportFormat];
+    const totalFrames = Math.ceil(job.totalFrames) - (job.data.perfectLoop ? 1 : 0);
+    const framesDir = path.join(__dirname, '..', config.storage.tempDir, job.id, 'frames');
+    const files = await fs.readdir(framesDir).catch(() => []);
+    const captured = files.filter(file => /^frame_\d+\.png$/.test(file)).length;
+    return Math.max(0, totalFrames - this.findSkippedFrames(job.data, formats, totalFrames).size - captured);
+  }
+  
+  // Indexes of the frames a previous attempt wrote to disk. Each page writes its
+  // frames in order, so only the last frame of a run can be half written: drop it.
+  // Runs continue over `skipped` frames, which are never written.
+  async findCapturedFrames(framesDir, totalFrames, skipped = new Set()) {
+    const frames = new Set();
+    let files;
+    try {
+      files = await fs.readdir(framesDir);
     } catch (error) {
-      console.error(`Render error for job ${job.id}:`, error);
+      return frames;
+    }
+    
+    for (const file of files) {
+      const match = file.match(/^frame_(\d+)\.png$/);
+      if (match && parseInt(match[1]) < totalFrames) {
+        frames.add(parseInt(match[1]));
+      }
+    }
+    
+    const nextFrame = (frame) => {
+      let next = frame + 1;
+      while (skipped.has(next)) next++;
+      return next;
+    };
+    const lastOfRun = Array.from(frames).filter(frame => !frames.has(nextFrame(frame)));
+    for (const frame of lastOfRun) {
+      frames.delete(frame);
+      await fs.rm(path.join(framesDir, `frame_${String(frame).padStart(4, '0')}.png`), { force: true });
+    }
+    return frames;
+  }
+  
+  // Frames go straight into ffmpeg unless something needs them on disk (ZIP and sheet
+  // exports, parallel capture), or streaming is switched off globally or for this job.
+  // Streamed frames are lost when an attempt fails, so retries capture to disk and
+  // any attempt after them can resume.
+  shouldStreamFrames(job, formats) {
+    const { data } = job;
+    return config.rendering.streamFrames &&
+      data.streamFrames !== false &&
+      (job.attempts || 1) <= 1 &&
+      formats.every(format => packager.isVideoFormat(format)) &&
+      (data.parallelism || 1) === 1; // ffmpeg needs frames in order
+  }
+  
+  // `region` is the captured area; the whole viewport when nothing was captured
+  getVideoOptions(job, format, frameCount, region = null) {
+    return {
+      format: format,
+      fps: job.data.fps,
+      width: region ? region.width : job.data.width,
+      height: region ? region.height : job.data.height,
+      quality: job.data.videoQuality || 'high',
+      backgroundColor: job.data.backgroundColor || undefined,
+      perfectLoop: job.data.perfectLoop,
+      frameCount: frameCount
+    };
+  }
+  
+  // Render parameters recorded in ZIP manifests, without the page source, inline audio and secrets
+  describeRender(data) {
+    const { html, animationCode, audio, callbackSecret, ...params } = data;
+    if (audio) {
+      const { data: audioData, ...audioOptions } = audio;
+      params.audio = audioOptions;
+    }
+    return params;
+  }
+  
+  async describeOutput(outputPath) {
+    const stats = await fs.stat(outputPath);
+    return {
+      path: outputPath,
+      fileSize: `${Math.round(stats.size / 1024 / 1024)}MB`
+    };
+  }
+  
+  // Load the tool into the page on virtual time and inject the animation controller
+  async preparePage(page, data, { epoch, network, onBlocked }) {
+    // Set viewport with resolution multiplier using deviceScaleFactor
+    await page.setViewport({
+      width: data.width,
+      height: data.height,
+      deviceScaleFactor: data.resolution
+    });
+    
+    // Every request the tool makes goes through the network policy
+    await networkPolicy.attach(page, network, { onBlocked });
+    
+    // Clock shims have to be in place before the tool's own scripts run
+    await virtualTime.install(page, { epoch });
+    
+    if (data.captureMode === 'canvas') {
+      await page.evaluateOnNewDocument(preserveDrawingBuffers);
+      await page.evaluate(preserveDrawingBuffers);
+    }
+    
+    if (data.state) {
+      await page.evaluateOnNewDocument(injectState, data.state);
+      await page.evaluate(injectState, data.state);
+    }
+    
+    if (data.url) {
+      // The hosted tool, as its users see it
+      const response = await page.goto(data.url, { waitUntil: 'networkidle0' });
+      if (response && !response.ok()) {
+        const error = new Error(`${data.url} responded with HTTP ${response.status()}`);
+        error.retryable = response.status() >= 500; // a missing page will not come back
+        throw error;
+      }
+    } else {
+      // Create HTML with animation
+      const fullHtml = assetStore.rewriteUrls(this.createFullHtml(data));
+      await page.setContent(fullHtml, { waitUntil: 'networkidle0' });
+    }
+    
+    // Wait for any initial setup (still on wall-clock time)
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    // From here on, time only moves when we seek
+    await virtualTime.freeze(page);
+    
+    // Inject animation controller
+    await page.evaluate((animationCode, fps) => {
+      // Create global animation controller
+      window.animationController = {
+        currentTime: 0,
+        duration: 0,
+        fps: fps
+      };
+      
+      // Execute user's animation code
+      if (animationCode) {
+        try {
+          eval(animationCode);
+        } catch (e) {
+          console.error('Animation code error:', e);
+        }
+      }
       
-      // Clean up on error
+      // Function to set animation time. Advances timers and runs requestAnimationFrame
+      // callbacks with the time in milliseconds, then seeks CSS animations and media.
+      window.setAnimationTime = async (time) => {
+        window.animationController.currentTime = time;
+        
+        await window.__chatoolyClock.seek(time * 1000);
+        
+        // Trigger custom animation update if defined
+        if (window.updateAnimation) {
+          window.updateAnimation(time);
+        }
+        
+        await window.__chatoolyClock.settle();
+      };
+    }, assetStore.rewriteUrls(data.animationCode || ''), data.fps);
+  }
+  
+  // Move the page to `time` seconds and wait until that state is painted
+  async seek(page, time) {
+    await page.evaluate((time) => window.setAnimationTime(time), time);
+  }
+  
+  // The area frames are captured from, in CSS pixels: the whole viewport, or the
+  // element matching `selector` as laid out once the tool has loaded
+  async measureCapture(page, data) {
+    const mode = data.captureMode || 'viewport';
+    if (mode === 'viewport') {
+      return { x: 0, y: 0, width: data.width, height: data.height };
+    }
+    
+    const selector = data.selector || 'canvas';
+    const found = await page.evaluate((selector) => {
+      let element;
       try {
-        await fs.rm(jobDir, { recursive: true, force: true });
-      } catch (cleanupError) {
-        console.error('Cleanup error:', cleanupError);
+        element = document.querySelector(selector);
+      } catch (e) {
+        return { error: `Invalid capture selector "${selector}"` };
+      }
+      if (!element) {
+        return { error: `Capture selector "${selector}" matched no element` };
       }
       
+      const rect = element.getBoundingClientRect();
+      return {
+        x: rect.left + window.scrollX,
+        y: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height,
+        isCanvas: element instanceof HTMLCanvasElement
+      };
+    }, selector);
+    
+    let message = found.error;
+    if (!message && mode === 'canvas' && !found.isCanvas) {
+      message = `Capture selector "${selector}" is not a <canvas> element`;
+    }
+    if (!message && (Math.round(found.width) < 1 || Math.round(found.height) < 1)) {
+      message = `Capture selector "${selector}" matched an element with no size`;
+    }
+    if (message) {
+      // The same page will lay out the same way on a retry
+      const error = new Error(message);
+      error.retryable = false;
       throw error;
     }
+    
+    return {
+      x: Math.round(found.x),
+      y: Math.round(found.y),
+      width: Math.round(found.width),
+      height: Math.round(found.height)
+    };
+  }
+  
+  // Image of `region` at the job's resolution: PNG, or JPEG/WebP at `quality` (0-100)
+  async captureFrame(page, data, region, { type = 'png', quality = 90 } = {}) {
+    const lossy = type !== 'png';
+    if (data.captureMode !== 'canvas') {
+      return page.screenshot({
+        type: type,
+        quality: lossy ? quality : undefined,
+        omitBackground: data.transparent && type !== 'jpeg',
+        clip: data.captureMode === 'selector' ? region : undefined
+      });
+    }
+    
+    // Read the canvas pixels directly: no compositing, nothing drawn over the canvas.
+    // The backing store is scaled to the CSS size × resolution like a screenshot would be.
+    const dataUrl = await page.evaluate((selector, width, height, transparent, mimeType, quality) => {
+      const source = document.querySelector(selector);
+      if (source.width === width && source.height === height && transparent) {
+        return source.toDataURL(mimeType, quality);
+      }
+      
+      const target = window.__chatoolyCaptureCanvas || (window.__chatoolyCaptureCanvas = document.createElement('canvas'));
+      target.width = width;
+      target.height = height;
+      const context = target.getContext('2d');
+      context.clearRect(0, 0, width, height);
+      if (!transparent) {
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, width, height);
+      }
+      context.drawImage(source, 0, 0, width, height);
+      return target.toDataURL(mimeType, quality);
+    },
+    data.selector || 'canvas',
+    Math.round(region.width * data.resolution),
+    Math.round(region.height * data.resolution),
+    data.transparent && type !== 'jpeg', // JPEG has no alpha: flatten onto white like a screenshot
+    `image/${type}`,
+    quality / 100);
+    
+    return Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64');
+  }
+  
+  // A still in `data.format`. PDF prints the page as vector output; SVG wraps a PNG
+  // of the region so it can be dropped into vector design tools at its CSS size.
+  async captureStill(page, data, region) {
+    if (data.format === 'pdf') {
+      // Keep the screen styles the tool was designed with
+      await page.emulateMediaType('screen');
+      return page.pdf({
+        width: `${data.width}px`,
+        height: `${data.height}px`,
+        printBackground: true,
+        omitBackground: data.transparent,
+        pageRanges: '1'
+      });
+    }
+    
+    if (data.format === 'svg') {
+      const png = await this.captureFrame(page, data, region);
+      const { width, height } = region;
+      return Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+        `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<image width="${width}" height="${height}" xlink:href="data:image/png;base64,${png.toString('base64')}"/>` +
+        '</svg>'
+      );
+    }
+    
+    return this.captureFrame(page, data, region, { type: data.format, quality: data.quality });
+  }
+  
+  // Animation time for a frame index, honoring animation speed and perfect loops
+  getFrameTime(data, frame) {
+    const time = (frame / data.fps) * (data.animationSpeed || 1);
+    
+    // Apply perfect loop logic - map time to animation's natural period
+    if (data.perfectLoop) {
+      const naturalPeriod = data.naturalPeriod || data.duration;
+      return time % naturalPeriod;
+    }
+    return time;
+  }
+  
+  // Write the uploaded audio track next to the frames for ffmpeg.
+  // Perfect loops repeat the audio unless the request says otherwise.
+  async prepareAudio(job, jobDir) {
+    if (!job.data.audio) return null;
+    
+    const { data, asset, ...options } = job.data.audio;
+    const audioPath = path.join(jobDir, 'audio');
+    
+    if (asset) {
+      // Copied, so the asset may expire while the job encodes
+      const stored = await assetStore.get(asset);
+      if (!stored) {
+        const error = new Error(`Audio asset ${asset} has expired`);
+        error.retryable = false;
+        throw error;
+      }
+      await fs.copyFile(stored.path, audioPath);
+    } else {
+      await fs.writeFile(audioPath, Buffer.from(data, 'base64'));
+    }
+    
+    return {
+      ...options,
+      path: audioPath,
+      loop: options.loop !== undefined ? options.loop : Boolean(job.data.perfectLoop)
+    };
+  }
+  
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
   }
   
   createFullHtml(data) {
@@ -257,10 +888,7 @@ class Renderer {
   }
   
   async cleanup() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
+    await browserPool.closeAll();
   }
 }
 
@@ -1,6 +1,23 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs').promises;
+const { once } = require('events');
+const { PassThrough } = require('stream');
+
+// paletteuse dithering for each GIF quality level
+const GIF_DITHER = {
+  low: 'dither=bayer:bayer_scale=5',
+  medium: 'dither=bayer:bayer_scale=3',
+  high: 'dither=bayer:bayer_scale=1',
+  lossless: 'dither=none'
+};
+
+// Audio codec muxed into each container that can carry sound
+const AUDIO_CODECS = {
+  mov: ['-c:a', 'pcm_s16le'],
+  mp4: ['-c:a', 'aac', '-b:a', '192k'],
+  webm: ['-c:a', 'libopus', '-b:a', '192k']
+};
 
 class VideoEncoder {
   constructor() {
@@ -50,12 +67,19 @@ class VideoEncoder {
 
   async createVideo(jobId, framesDir, options = {}) {
     const {
-      format = 'mov',        // 'mov' or 'webm'
+      format = 'mov',
       fps = 30,
-      width = 1920,
-      height = 1080,
-      quality = 'high'       // 'low', 'medium', 'high', 'lossless'
+      quality = 'high',
+      signal = null,         // AbortSignal that kills ffmpeg when the job is cancelled
+      frameCount = null,     // number of input frames, used when ffmpeg cannot report a percentage
+      onProgress = null      // called with encoding progress 0-100
     } = options;
+    
+    const reportProgress = this.progressReporter(frameCount, onProgress);
+    
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
 
     const outputPath = path.join(path.dirname(framesDir), `${jobId}.${format}`);
     const inputPattern = path.join(framesDir, 'frame_%04d.png');
@@ -64,169 +88,287 @@ class VideoEncoder {
     console.log(`Input pattern: ${inputPattern}`);
     console.log(`Output path: ${outputPath}`);
 
-    return new Promise((resolve, reject) => {
-      let command = ffmpeg()
-        .input(inputPattern)
-        .inputFPS(fps)
-        .size(`${width}x${height}`)
-        .fps(fps);
+    if (format === 'gif') {
+      return this.createGif(inputPattern, outputPath, { fps, quality, signal, reportProgress });
+    }
 
-      // Configure codec and quality based on format
-      if (format === 'mov') {
-        // ProRes 4444 for MOV with alpha channel support
-        command = command
-          .videoCodec('prores_ks')
-          .outputOptions([
-            '-profile:v', '4444',     // ProRes 4444 profile (supports alpha)
-            '-pix_fmt', 'yuva444p10le', // Pixel format with alpha
-            '-vendor', 'apl0'         // Apple vendor tag
-          ]);
-          
-        // Quality settings for ProRes
-        switch (quality) {
-          case 'low':
-            command = command.outputOptions(['-q:v', '15']);
-            break;
-          case 'medium':
-            command = command.outputOptions(['-q:v', '10']);
-            break;
-          case 'high':
-            command = command.outputOptions(['-q:v', '5']);
-            break;
-          case 'lossless':
-            command = command.outputOptions(['-q:v', '0']);
-            break;
-        }
-      } else if (format === 'webm') {
-        // VP9 codec for WebM with alpha channel support
-        command = command
-          .videoCodec('libvpx-vp9')
-          .outputOptions([
-            '-pix_fmt', 'yuva420p',   // Pixel format with alpha
-            '-auto-alt-ref', '0',     // Disable auto alt-ref frames
-            '-lag-in-frames', '25',   // Enable lookahead
-          ]);
-          
-        // Quality settings for VP9
-        switch (quality) {
-          case 'low':
-            command = command.outputOptions(['-crf', '40', '-b:v', '1M']);
-            break;
-          case 'medium':
-            command = command.outputOptions(['-crf', '30', '-b:v', '2M']);
-            break;
-          case 'high':
-            command = command.outputOptions(['-crf', '20', '-b:v', '4M']);
-            break;
-          case 'lossless':
-            command = command.outputOptions(['-crf', '0', '-b:v', '0']);
-            break;
+    const command = ffmpeg()
+      .input(inputPattern)
+      .inputFPS(fps);
+
+    this.configureCommand(command, options);
+    return this.runCommand(command, outputPath, { format, signal, reportProgress });
+  }
+
+  // Start an encoder that reads PNG frames from a pipe instead of from disk.
+  // Returns { write(buffer), end(), abort() }: write() resolves once ffmpeg can take more data
+  // (backpressure), end() closes the input and resolves with the output file details.
+  async createVideoStream(jobId, outputDir, options = {}) {
+    const {
+      format = 'mov',
+      fps = 30,
+      signal = null,
+      frameCount = null,
+      onProgress = null
+    } = options;
+    
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    
+    const outputPath = path.join(outputDir, `${jobId}.${format}`);
+    const input = new PassThrough();
+    
+    console.log(`Creating ${format.toUpperCase()} video for job ${jobId} from piped frames`);
+    console.log(`Output path: ${outputPath}`);
+    
+    const command = ffmpeg()
+      .input(input)
+      .inputFormat('image2pipe')
+      .inputOptions(['-c:v', 'png'])
+      .inputFPS(fps);
+    
+    this.configureCommand(command, options);
+    
+    let failure = null;
+    const done = this.runCommand(command, outputPath, {
+      format,
+      signal,
+      reportProgress: this.progressReporter(frameCount, onProgress)
+    });
+    done.catch((error) => {
+      failure = error;
+    });
+    
+    return {
+      write: async (buffer) => {
+        if (failure) throw failure;
+        if (!input.write(buffer)) {
+          // Wait for ffmpeg to drain stdin, unless it dies first
+          await Promise.race([once(input, 'drain'), done]);
         }
-      } else if (format === 'gif') {
-        // GIF with optimized palette and transparency support
-        command = command
-          .outputOptions([
-            '-vf', 'palettegen=stats_mode=diff',
-            '-y'
-          ]);
+        if (failure) throw failure;
+      },
+      end: () => {
+        input.end();
+        return done;
+      },
+      abort: () => {
+        input.destroy();
+        command.kill('SIGKILL');
+      }
+    };
+  }
+
+  // Turn fluent-ffmpeg progress events into a 0-100 callback
+  progressReporter(frameCount, onProgress) {
+    return (progress) => {
+      let percent = progress.percent;
+      if (!percent && frameCount && progress.frames) {
+        percent = (progress.frames / frameCount) * 100;
+      }
+      if (!percent) return;
+      
+      percent = Math.min(100, Math.round(percent));
+      console.log(`Video encoding: ${percent}%`);
+      if (onProgress) onProgress(percent);
+    };
+  }
+
+  // Set codec, quality, size and audio for a format on a command whose first input is the frames
+  configureCommand(command, options) {
+    const {
+      format = 'mov',        // one of getSupportedFormats()
+      fps = 30,
+      width = 1920,
+      height = 1080,
+      quality = 'high',      // 'low', 'medium', 'high', 'lossless'
+      backgroundColor = 'white', // MP4 only: color that transparent areas are flattened onto
+      perfectLoop = false,   // WebP/APNG: loop forever instead of playing once
+      audio = null,          // { path, offset, trimStart, trimEnd, fadeIn, fadeOut, loop } for mov/mp4/webm
+      frameCount = null      // needed to cut audio to the video duration
+    } = options;
+
+    command = command.fps(fps);
+    let outputWidth = width;
+    let outputHeight = height;
+
+    // Configure codec and quality based on format
+    if (format === 'mov') {
+      // ProRes 4444 for MOV with alpha channel support
+      command = command
+        .videoCodec('prores_ks')
+        .outputOptions([
+          '-profile:v', '4444',     // ProRes 4444 profile (supports alpha)
+          '-pix_fmt', 'yuva444p10le', // Pixel format with alpha
+          '-vendor', 'apl0'         // Apple vendor tag
+        ]);
+        
+      // Quality settings for ProRes
+      switch (quality) {
+        case 'low':
+          command = command.outputOptions(['-q:v', '15']);
+          break;
+        case 'medium':
+          command = command.outputOptions(['-q:v', '10']);
+          break;
+        case 'high':
+          command = command.outputOptions(['-q:v', '5']);
+          break;
+        case 'lossless':
+          command = command.outputOptions(['-q:v', '0']);
+          break;
+      }
+    } else if (format === 'webm') {
+      // VP9 codec for WebM with alpha channel support
+      command = command
+        .videoCodec('libvpx-vp9')
+        .outputOptions([
+          '-pix_fmt', 'yuva420p',   // Pixel format with alpha
+          '-auto-alt-ref', '0',     // Disable auto alt-ref frames
+          '-lag-in-frames', '25',   // Enable lookahead
+        ]);
         
-        // Create palette first, then GIF (two-pass encoding for better quality)
-        const paletteFile = outputPath.replace('.gif', '_palette.png');
+      // Quality settings for VP9
+      switch (quality) {
+        case 'low':
+          command = command.outputOptions(['-crf', '40', '-b:v', '1M']);
+          break;
+        case 'medium':
+          command = command.outputOptions(['-crf', '30', '-b:v', '2M']);
+          break;
+        case 'high':
+          command = command.outputOptions(['-crf', '20', '-b:v', '4M']);
+          break;
+        case 'lossless':
+          command = command.outputOptions(['-crf', '0', '-b:v', '0']);
+          break;
+      }
+    } else if (format === 'mp4') {
+      // H.264 has no alpha channel, so transparent frames are flattened onto a solid
+      // background. yuv420p also needs even dimensions.
+      const evenWidth = Math.ceil(width / 2) * 2;
+      const evenHeight = Math.ceil(height / 2) * 2;
+      
+      command = command
+        .videoCodec('libx264')
+        .complexFilter([
+          `color=c=${this.toFFmpegColor(backgroundColor)}:s=${evenWidth}x${evenHeight}:r=${fps}[bg]`,
+          `[0:v]scale=${evenWidth}:${evenHeight}[fg]`,
+          '[bg][fg]overlay=shortest=1,format=yuv420p[out]'
+        ], 'out')
+        .outputOptions([
+          '-preset', 'medium',
+          '-movflags', '+faststart' // moov atom up front so playback starts before download ends
+        ]);
         
-        return new Promise((resolve, reject) => {
-          // First pass: Generate palette
-          ffmpeg()
-            .input(inputPattern)
-            .inputFPS(fps)
-            .outputOptions([
-              '-vf', 'palettegen=stats_mode=diff'
-            ])
-            .output(paletteFile)
-            .on('error', reject)
-            .on('end', () => {
-              // Second pass: Create GIF with palette
-              let gifCommand = ffmpeg()
-                .input(inputPattern)
-                .inputFPS(fps)
-                .input(paletteFile)
-                .fps(fps)
-                
-              // Quality settings for GIF
-              switch (quality) {
-                case 'low':
-                  gifCommand = gifCommand.outputOptions([
-                    '-lavfi', '[0:v][1:v]paletteuse=dither=bayer:bayer_scale=5',
-                    '-vf', 'scale=iw/2:ih/2'
-                  ]);
-                  break;
-                case 'medium':
-                  gifCommand = gifCommand.outputOptions([
-                    '-lavfi', '[0:v][1:v]paletteuse=dither=bayer:bayer_scale=3'
-                  ]);
-                  break;
-                case 'high':
-                  gifCommand = gifCommand.outputOptions([
-                    '-lavfi', '[0:v][1:v]paletteuse=dither=bayer:bayer_scale=1'
-                  ]);
-                  break;
-                case 'lossless':
-                  gifCommand = gifCommand.outputOptions([
-                    '-lavfi', '[0:v][1:v]paletteuse=dither=none'
-                  ]);
-                  break;
-              }
-              
-              gifCommand
-                .output(outputPath)
-                .on('start', (commandLine) => {
-                  console.log('FFmpeg started:', commandLine);
-                })
-                .on('progress', (progress) => {
-                  if (progress.percent) {
-                    console.log(`Video encoding: ${Math.round(progress.percent)}%`);
-                  }
-                })
-                .on('error', reject)
-                .on('end', async () => {
-                  try {
-                    // Clean up palette file
-                    const fs = require('fs').promises;
-                    await fs.unlink(paletteFile).catch(() => {});
-                    
-                    const stats = await fs.stat(outputPath);
-                    const fileSize = `${Math.round(stats.size / 1024 / 1024)}MB`;
-                    
-                    console.log(`GIF created successfully: ${outputPath} (${fileSize})`);
-                    resolve({
-                      path: outputPath,
-                      size: fileSize,
-                      format: 'GIF'
-                    });
-                  } catch (error) {
-                    reject(new Error(`Failed to read output file: ${error.message}`));
-                  }
-                })
-                .run();
-            })
-            .run();
+      // Quality settings for H.264
+      switch (quality) {
+        case 'low':
+          command = command.outputOptions(['-crf', '28']);
+          break;
+        case 'medium':
+          command = command.outputOptions(['-crf', '23']);
+          break;
+        case 'high':
+          command = command.outputOptions(['-crf', '18']);
+          break;
+        case 'lossless':
+          command = command.outputOptions(['-qp', '0']);
+          break;
+      }
+    } else if (format === 'webp') {
+      // Animated WebP: full color with alpha, unlike GIF's 256-color palette
+      command = command
+        .videoCodec('libwebp_anim')
+        .outputOptions([
+          '-loop', perfectLoop ? '0' : '1' // 0 = loop forever
+        ]);
+        
+      // Quality settings for WebP
+      switch (quality) {
+        case 'low':
+          command = command.outputOptions(['-pix_fmt', 'yuva420p', '-quality', '50', '-compression_level', '4']);
+          break;
+        case 'medium':
+          command = command.outputOptions(['-pix_fmt', 'yuva420p', '-quality', '75', '-compression_level', '4']);
+          break;
+        case 'high':
+          command = command.outputOptions(['-pix_fmt', 'yuva420p', '-quality', '90', '-compression_level', '6']);
+          break;
+        case 'lossless':
+          command = command.outputOptions(['-pix_fmt', 'bgra', '-lossless', '1', '-compression_level', '6']);
+          break;
+      }
+    } else if (format === 'apng') {
+      // Animated PNG: lossless RGBA frames
+      command = command
+        .videoCodec('apng')
+        .format('apng')
+        .outputOptions([
+          '-pix_fmt', 'rgba',
+          '-plays', perfectLoop ? '0' : '1', // 0 = loop forever
+          '-pred', 'mixed'                   // best compression per row
+        ]);
+        
+      // APNG is always lossless, so low quality trades resolution for size like GIF does
+      if (quality === 'low') {
+        outputWidth = Math.round(width / 2);
+        outputHeight = Math.round(height / 2);
+      }
+    } else if (format === 'gif') {
+      // Single-pass GIF for piped frames, which cannot be read twice:
+      // the palette is generated from one copy of the stream and applied to the other
+      command = command.complexFilter([
+        `[0:v]${quality === 'low' ? 'scale=iw/2:ih/2,' : ''}split[a][b]`,
+        '[a]palettegen=stats_mode=diff[p]',
+        `[b][p]paletteuse=${GIF_DITHER[quality] || GIF_DITHER.high}[out]`
+      ], 'out');
+    } else {
+      throw new Error(`Unsupported video format: ${format}`);
+    }
+
+    // MP4 and GIF size inside their filter graphs; the others use a simple scale filter
+    if (format !== 'mp4' && format !== 'gif') {
+      command = command.size(`${outputWidth}x${outputHeight}`);
+    }
+
+    if (audio) {
+      if (AUDIO_CODECS[format] && frameCount) {
+        command = this.addAudio(command, audio, {
+          codec: AUDIO_CODECS[format],
+          duration: frameCount / fps,
+          mapVideo: format !== 'mp4' // the MP4 filter graph already maps its video output
         });
+      } else {
+        console.warn(`Audio is not supported for ${format.toUpperCase()} output, skipping it`);
       }
+    }
 
+    return command;
+  }
+
+  // Run a configured command to `outputPath`. Resolves with the output file details.
+  runCommand(command, outputPath, { format, signal, reportProgress }) {
+    return new Promise((resolve, reject) => {
+      const detach = this.killOnAbort(command, signal);
+      
       command
         .output(outputPath)
         .on('start', (commandLine) => {
           console.log('FFmpeg started:', commandLine);
         })
-        .on('progress', (progress) => {
-          if (progress.percent) {
-            console.log(`Video encoding: ${Math.round(progress.percent)}%`);
-          }
-        })
+        .on('progress', reportProgress)
         .on('error', (err) => {
+          detach();
+          if (signal && signal.aborted) {
+            return reject(signal.reason);
+          }
           console.error('FFmpeg error:', err);
           reject(new Error(`Video encoding failed: ${err.message}`));
         })
         .on('end', async () => {
+          detach();
           try {
             // Check if file was created and get its size
             const stats = await fs.stat(outputPath);
@@ -246,9 +388,284 @@ class VideoEncoder {
     });
   }
 
+  // Lay frames out on a `columns` × `rows` grid in a single PNG, starting at frame
+  // number `start` and stopping when the grid is full or the frames run out. `thumbnail` ({ width, height }) scales the frames first;
+  // `label` burns in each frame's number and timestamp (contact sheets).
+  createTile(inputPattern, outputPath, options = {}) {
+    const {
+      start = 0,
+      columns,
+      rows,
+      fps = 30,
+      padding = 0,
+      color = '0x00000000', // transparent gaps between frames
+      thumbnail = null,
+      label = false,
+      signal = null
+    } = options;
+    
+    const filters = [];
+    if (thumbnail) {
+      filters.push(`scale=${thumbnail.width}:${thumbnail.height}`);
+    }
+    if (label) {
+      // Input timestamps start at 0 for every sheet, so offset them by the first frame's time
+      const fontSize = Math.max(10, Math.round((thumbnail ? thumbnail.height : 360) / 12));
+      filters.push(
+        `drawtext=text='#%{frame_num}  %{pts\\:hms\\:${start / fps}}':start_number=${start}` +
+        `:x=6:y=h-th-6:fontsize=${fontSize}:fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=4`
+      );
+    }
+    filters.push(`tile=${columns}x${rows}:padding=${padding}:color=${color}`);
+    
+    const command = ffmpeg()
+      .input(inputPattern)
+      .inputOptions(['-start_number', String(start)])
+      .inputFPS(fps)
+      .videoFilters(filters)
+      .outputOptions([
+        '-frames:v', '1', // one sheet; a short last sheet is flushed when the input ends
+        '-update', '1',
+        '-pix_fmt', 'rgba'
+      ]);
+    
+    return this.runCommand(command, outputPath, { format: 'png', signal, reportProgress: () => {} });
+  }
+
+  // Convert `count` PNG frames, from frame number `start` and keeping every `step`th one,
+  // to JPEG or WebP files named frame_0000... in `outputDir`. Resolves with their paths in order.
+  convertFrames(inputPattern, outputDir, options = {}) {
+    const {
+      start = 0,
+      count,
+      step = 1,
+      type = 'jpeg',   // 'jpeg' or 'webp'
+      quality = 90,    // 0-100
+      signal = null
+    } = options;
+    const extension = type === 'jpeg' ? 'jpg' : type;
+    const select = step > 1 ? `select='not(mod(n\\,${step}))',` : '';
+    
+    const command = ffmpeg()
+      .input(inputPattern)
+      .inputOptions(['-start_number', String(start)]);
+    
+    if (type === 'jpeg') {
+      // JPEG has no alpha: flatten onto white like a JPEG screenshot would be
+      command
+        .complexFilter([
+          `[0:v]${select}format=rgba,split[fg][bg]`,
+          '[bg]drawbox=c=white@1:replace=1:t=fill[base]',
+          '[base][fg]overlay,format=yuvj444p[out]'
+        ], 'out')
+        .outputOptions(['-c:v', 'mjpeg', '-q:v', String(Math.round(31 - (quality / 100) * 29))]);
+    } else {
+      command
+        .complexFilter([`[0:v]${select}format=rgba[out]`], 'out')
+        .outputOptions(['-c:v', 'libwebp', '-quality', String(quality)]);
+    }
+    
+    command.outputOptions([
+      '-frames:v', String(count),
+      '-vsync', '0',          // one output file per selected frame
+      '-start_number', '0'
+    ]);
+    
+    return new Promise((resolve, reject) => {
+      const detach = this.killOnAbort(command, signal);
+      
+      command
+        .output(path.join(outputDir, `frame_%04d.${extension}`))
+        .on('start', (commandLine) => {
+          console.log('FFmpeg started:', commandLine);
+        })
+        .on('error', (err) => {
+          detach();
+          reject(signal && signal.aborted ? signal.reason : new Error(`Frame conversion failed: ${err.message}`));
+        })
+        .on('end', () => {
+          detach();
+          resolve(Array.from({ length: count }, (value, index) =>
+            path.join(outputDir, `frame_${String(index).padStart(4, '0')}.${extension}`)
+          ));
+        })
+        .run();
+    });
+  }
+
+  // GIF with optimized palette and transparency support.
+  // Two-pass encoding: generate a palette first, then map the frames onto it.
+  createGif(inputPattern, outputPath, { fps, quality, signal, reportProgress }) {
+    const paletteFile = outputPath.replace('.gif', '_palette.png');
+    
+    return new Promise((resolve, reject) => {
+      // First pass: Generate palette
+      const paletteCommand = ffmpeg()
+        .input(inputPattern)
+        .inputFPS(fps)
+        .outputOptions([
+          '-vf', 'palettegen=stats_mode=diff'
+        ])
+        .output(paletteFile);
+      const detachPalette = this.killOnAbort(paletteCommand, signal);
+      
+      paletteCommand
+        .on('error', (err) => {
+          detachPalette();
+          reject(signal && signal.aborted ? signal.reason : err);
+        })
+        .on('end', () => {
+          detachPalette();
+          
+          // Second pass: Create GIF with palette
+          let gifCommand = ffmpeg()
+            .input(inputPattern)
+            .inputFPS(fps)
+            .input(paletteFile)
+            .fps(fps)
+            
+          // Quality settings for GIF
+          switch (quality) {
+            case 'low':
+              gifCommand = gifCommand.outputOptions([
+                '-lavfi', '[0:v][1:v]paletteuse=dither=bayer:bayer_scale=5',
+                '-vf', 'scale=iw/2:ih/2'
+              ]);
+              break;
+            case 'medium':
+              gifCommand = gifCommand.outputOptions([
+                '-lavfi', '[0:v][1:v]paletteuse=dither=bayer:bayer_scale=3'
+              ]);
+              break;
+            case 'high':
+              gifCommand = gifCommand.outputOptions([
+                '-lavfi', '[0:v][1:v]paletteuse=dither=bayer:bayer_scale=1'
+              ]);
+              break;
+            case 'lossless':
+              gifCommand = gifCommand.outputOptions([
+                '-lavfi', '[0:v][1:v]paletteuse=dither=none'
+              ]);
+              break;
+          }
+          
+          const detachGif = this.killOnAbort(gifCommand, signal);
+          
+          gifCommand
+            .output(outputPath)
+            .on('start', (commandLine) => {
+              console.log('FFmpeg started:', commandLine);
+            })
+            .on('progress', reportProgress)
+            .on('error', (err) => {
+              detachGif();
+              reject(signal && signal.aborted ? signal.reason : err);
+            })
+            .on('end', async () => {
+              detachGif();
+              try {
+                // Clean up palette file
+                const fs = require('fs').promises;
+                await fs.unlink(paletteFile).catch(() => {});
+                
+                const stats = await fs.stat(outputPath);
+                const fileSize = `${Math.round(stats.size / 1024 / 1024)}MB`;
+                
+                console.log(`GIF created successfully: ${outputPath} (${fileSize})`);
+                resolve({
+                  path: outputPath,
+                  size: fileSize,
+                  format: 'GIF'
+                });
+              } catch (error) {
+                reject(new Error(`Failed to read output file: ${error.message}`));
+              }
+            })
+            .run();
+        })
+        .run();
+    });
+  }
+
+  // Mux an audio file into the output, trimmed, delayed, faded and
+  // looped or cut so it matches the rendered video duration exactly
+  addAudio(command, audio, { codec, duration, mapVideo }) {
+    const {
+      path: audioPath,
+      offset = 0,        // seconds of silence before the audio starts
+      trimStart = 0,     // seconds cut from the start of the file
+      trimEnd = null,    // position in the file where the audio stops
+      fadeIn = 0,
+      fadeOut = 0,
+      loop = false       // repeat the (trimmed) audio to fill the video
+    } = audio;
+    
+    const inputOptions = [];
+    const filters = [];
+    
+    if (trimStart || trimEnd) {
+      filters.push(`atrim=start=${trimStart}${trimEnd ? `:end=${trimEnd}` : ''}`, 'asetpts=PTS-STARTPTS');
+    }
+    
+    if (loop) {
+      if (trimEnd) {
+        // aloop needs the segment length in samples, so fix the sample rate first
+        const sampleRate = 48000;
+        filters.push(`aresample=${sampleRate}`, `aloop=loop=-1:size=${Math.ceil((trimEnd - trimStart) * sampleRate)}`);
+      } else {
+        inputOptions.push('-stream_loop', '-1');
+      }
+    }
+    
+    if (fadeIn) {
+      filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+    }
+    
+    if (offset) {
+      filters.push(`adelay=${Math.round(offset * 1000)}:all=1`);
+    }
+    
+    if (fadeOut) {
+      filters.push(`afade=t=out:st=${Math.max(0, duration - fadeOut)}:d=${fadeOut}`);
+    }
+    
+    // Pad short audio with silence; -t below cuts everything to the video length
+    filters.push('apad');
+    
+    return command
+      .input(audioPath)
+      .inputOptions(inputOptions)
+      .audioFilters(filters)
+      .outputOptions([
+        ...(mapVideo ? ['-map', '0:v'] : []),
+        '-map', '1:a',
+        ...codec,
+        '-t', String(duration)
+      ]);
+  }
+
+  // ffmpeg takes hex colors as 0xRRGGBB[AA]; named colors pass through
+  toFFmpegColor(color) {
+    return color.startsWith('#') ? `0x${color.slice(1)}` : color;
+  }
+
+  // Kill the ffmpeg child process when the signal fires. Returns a function that detaches the listener.
+  killOnAbort(command, signal) {
+    if (!signal) return () => {};
+    
+    const onAbort = () => command.kill('SIGKILL');
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+  }
+
   // Get supported formats
   getSupportedFormats() {
-    return ['mov', 'webm', 'gif'];
+    return ['mov', 'webm', 'mp4', 'gif', 'webp', 'apng'];
+  }
+
+  // Formats that can carry an audio track
+  getAudioFormats() {
+    return Object.keys(AUDIO_CODECS);
   }
 
   // Get quality options
@@ -273,12 +690,33 @@ class VideoEncoder {
         cons: ['Lower quality than ProRes', 'Limited pro software support'],
         bestFor: 'Web use, social media, general sharing'
       },
+      mp4: {
+        name: 'MP4 (H.264)',
+        description: 'Universally playable H.264 video, flattened onto a background color',
+        pros: ['Plays everywhere', 'Small file sizes', 'Accepted by social platforms', 'Streams while downloading'],
+        cons: ['No transparency', 'Lossy compression'],
+        bestFor: 'Social media uploads, Safari/iOS, sharing and previews'
+      },
       gif: {
         name: 'GIF (Animated)',
         description: 'Classic animated GIF with optimized palette',
         pros: ['Universal support', 'Perfect loops', 'Small file sizes', 'Transparency'],
         cons: ['256 color limit', 'No audio support'],
         bestFor: 'Social media, memes, simple animations, loops'
+      },
+      webp: {
+        name: 'WebP (Animated)',
+        description: 'Animated WebP with full color and transparency, lossy or lossless',
+        pros: ['Full color gradients', 'Transparency', 'Much smaller than GIF', 'Perfect loops'],
+        cons: ['Not supported by older software', 'No audio support'],
+        bestFor: 'Web pages, gradient-heavy animations, transparent overlays'
+      },
+      apng: {
+        name: 'APNG (Animated PNG)',
+        description: 'Lossless animated PNG with full alpha channel',
+        pros: ['Lossless quality', 'Full transparency', 'Supported by all modern browsers', 'Perfect loops'],
+        cons: ['Large file sizes', 'No audio support'],
+        bestFor: 'Lossless web animations, stickers, UI animations with transparency'
       }
     };
   }
@@ -0,0 +1,252 @@
+// Runs inside the page before any tool script. Until freeze() timers, animation frames,
+// CSS/Web Animations and media run on the wall clock so loading and setup behave
+// normally; afterwards they only move when seek() is called. performance.now() and
+// Date read virtual time from the start and stand still until the first seek, so a
+// start time recorded during setup is the same on every page and every frame is a
+// pure function of the requested time.
+// Must stay self-contained: Puppeteer serializes it into the page.
+function installClock(epoch) {
+  if (window.__chatoolyClock) return;
+
+  const real = {
+    setTimeout: window.setTimeout.bind(window),
+    clearTimeout: window.clearTimeout.bind(window),
+    requestAnimationFrame: window.requestAnimationFrame.bind(window),
+    performanceNow: performance.now.bind(performance),
+    Date: window.Date
+  };
+
+  const timers = new Map();         // id -> { callback, args, delay, interval, due, realId }
+  const frameCallbacks = new Map(); // id -> requestAnimationFrame callback
+  const animationOffsets = new WeakMap();
+  const mediaOffsets = new WeakMap();
+  let nextId = 1;
+
+  const clock = {
+    frozen: false,
+    now: 0, // virtual milliseconds; 0 until the first seek
+    epoch: epoch
+  };
+
+  // What the page's clocks read
+  const currentTime = () => clock.now;
+  // Timers are due on the wall clock until freeze(), then on virtual time
+  const timerTime = () => (clock.frozen ? clock.now : real.performanceNow());
+
+  const run = (callback, args) => {
+    try {
+      if (typeof callback === 'function') {
+        callback(...args);
+      } else {
+        new Function(String(callback))();
+      }
+    } catch (e) {
+      console.error('Animation callback error:', e);
+    }
+  };
+
+  // Timers -------------------------------------------------------------------
+
+  const armRealTimer = (id, timer) => {
+    timer.realId = real.setTimeout(() => {
+      if (!timers.has(id) || clock.frozen) return;
+
+      if (timer.interval) {
+        timer.due += timer.delay;
+        armRealTimer(id, timer);
+      } else {
+        timers.delete(id);
+      }
+      run(timer.callback, timer.args);
+    }, Math.max(0, timer.due - real.performanceNow()));
+  };
+
+  const addTimer = (callback, delay, args, interval) => {
+    const id = nextId++;
+    // Zero-delay intervals would never let virtual time advance
+    const timer = { callback, args, interval, delay: Math.max(interval ? 1 : 0, Number(delay) || 0) };
+    timer.due = timerTime() + timer.delay;
+    timers.set(id, timer);
+
+    if (!clock.frozen) {
+      armRealTimer(id, timer);
+    }
+    return id;
+  };
+
+  const removeTimer = (id) => {
+    const timer = timers.get(id);
+    if (timer) {
+      real.clearTimeout(timer.realId);
+      timers.delete(id);
+    }
+  };
+
+  window.setTimeout = (callback, delay, ...args) => addTimer(callback, delay, args, false);
+  window.setInterval = (callback, delay, ...args) => addTimer(callback, delay, args, true);
+  window.clearTimeout = removeTimer;
+  window.clearInterval = removeTimer;
+
+  // Animation frames -----------------------------------------------------------
+
+  window.requestAnimationFrame = (callback) => {
+    const id = nextId++;
+    frameCallbacks.set(id, callback);
+
+    if (!clock.frozen) {
+      real.requestAnimationFrame(() => {
+        // After freeze() the callback stays queued for the next virtual frame
+        if (clock.frozen || !frameCallbacks.has(id)) return;
+        frameCallbacks.delete(id);
+        run(callback, [currentTime()]);
+      });
+    }
+    return id;
+  };
+  window.cancelAnimationFrame = (id) => {
+    frameCallbacks.delete(id);
+  };
+
+  // Clocks -------------------------------------------------------------------
+
+  Object.defineProperty(performance, 'now', {
+    value: () => currentTime(),
+    configurable: true,
+    writable: true
+  });
+
+  function VirtualDate(...args) {
+    if (!new.target) {
+      return new real.Date(VirtualDate.now()).toString();
+    }
+    return args.length > 0 ? new real.Date(...args) : new real.Date(VirtualDate.now());
+  }
+  VirtualDate.prototype = real.Date.prototype;
+  VirtualDate.now = () => clock.epoch + clock.now;
+  VirtualDate.parse = real.Date.parse;
+  VirtualDate.UTC = real.Date.UTC;
+  window.Date = VirtualDate;
+
+  // Control ------------------------------------------------------------------
+
+  clock.freeze = () => {
+    if (clock.frozen) return;
+
+    const frozenAt = real.performanceNow();
+    clock.frozen = true;
+    clock.now = 0;
+
+    // Pending timers keep whatever delay they had left
+    for (const timer of timers.values()) {
+      real.clearTimeout(timer.realId);
+      timer.due = Math.max(0, timer.due - frozenAt);
+    }
+  };
+
+  clock.seek = async (ms) => {
+    if (ms < clock.now) {
+      // Perfect loops wrap back to the start; pending timers keep their remaining delay
+      for (const timer of timers.values()) {
+        timer.due -= clock.now - ms;
+      }
+      clock.now = ms;
+    }
+
+    // Fire due timers in order, letting callbacks schedule further timers
+    for (let fired = 0; ; fired++) {
+      let dueId = null;
+      let dueTimer = null;
+      for (const [id, timer] of timers) {
+        if (timer.due <= ms && (!dueTimer || timer.due < dueTimer.due)) {
+          dueId = id;
+          dueTimer = timer;
+        }
+      }
+      if (!dueTimer) break;
+      if (fired >= 10000) {
+        console.warn('Too many timers fired in one frame, skipping the rest');
+        break;
+      }
+
+      clock.now = dueTimer.due;
+      if (dueTimer.interval) {
+        dueTimer.due += dueTimer.delay;
+      } else {
+        timers.delete(dueId);
+      }
+      run(dueTimer.callback, dueTimer.args);
+    }
+    clock.now = ms;
+
+    // One animation frame, timestamped with the virtual time
+    const callbacks = Array.from(frameCallbacks.values());
+    frameCallbacks.clear();
+    callbacks.forEach(callback => run(callback, [ms]));
+
+    // CSS animations, CSS transitions and Web Animations, relative to when they were first seen
+    for (const animation of document.getAnimations()) {
+      if (!animationOffsets.has(animation)) {
+        animationOffsets.set(animation, (animation.currentTime || 0) - ms);
+      }
+      animation.pause();
+      animation.currentTime = animationOffsets.get(animation) + ms;
+    }
+
+    // <video> and <audio> elements
+    const seeks = [];
+    for (const media of document.querySelectorAll('video, audio')) {
+      if (!mediaOffsets.has(media)) {
+        mediaOffsets.set(media, media.currentTime - ms / 1000);
+      }
+      media.pause();
+
+      let target = mediaOffsets.get(media) + ms / 1000;
+      if (media.loop && media.duration) {
+        target = ((target % media.duration) + media.duration) % media.duration;
+      }
+      target = Math.max(0, target);
+
+      if (Math.abs(media.currentTime - target) > 0.0005) {
+        seeks.push(new Promise(resolve => {
+          media.addEventListener('seeked', resolve, { once: true });
+          real.setTimeout(resolve, 1000); // never hang on media that cannot seek
+        }));
+        media.currentTime = target;
+      }
+    }
+    await Promise.all(seeks);
+  };
+
+  // Wait until the seeked state has actually been painted
+  clock.settle = async () => {
+    if (document.fonts) {
+      await document.fonts.ready;
+    }
+    await new Promise(resolve => real.requestAnimationFrame(() => real.requestAnimationFrame(resolve)));
+  };
+
+  window.__chatoolyClock = clock;
+}
+
+class VirtualTime {
+  // Install the clock shims before any page script runs. `epoch` is what Date.now()
+  // returns at time 0, so pages rendering the same job agree on the date.
+  async install(page, { epoch = Date.now() } = {}) {
+    // New documents (navigations) get the shims before their own scripts...
+    await page.evaluateOnNewDocument(installClock, epoch);
+    // ...and so does the current about:blank document that setContent writes into
+    await page.evaluate(installClock, epoch);
+  }
+
+  // Switch the page from wall-clock time to virtual time 0
+  async freeze(page) {
+    // Stop the compositor's document timeline so nothing advances between seeks
+    const session = await page.createCDPSession();
+    await session.send('Animation.enable');
+    await session.send('Animation.setPlaybackRate', { playbackRate: 0 });
+
+    await page.evaluate(() => window.__chatoolyClock.freeze());
+  }
+}
+
+module.exports = new VirtualTime();